@@ -6,8 +6,15 @@ import { defineConfig, devices } from "@playwright/test";
  */
 import dotenv from "dotenv";
 import path from "path";
-// Load environment variables from .env (project root)
-dotenv.config({ path: path.resolve(__dirname, ".env") });
+import { applyProfile, getBaseUrl } from "./tests/utils/config";
+// Load environment variables from .env (project root), or from the file named
+// by ENV_FILE (set by `run.js --env-file`)
+dotenv.config({
+  path: process.env.ENV_FILE || path.resolve(__dirname, ".env"),
+});
+// Apply the store profile named by PROFILE (see tests/utils/config.js), so
+// its BASE_URL, carrier settings etc. override .env
+applyProfile();
 
 /**
  * See https://playwright.dev/docs/test-configuration.
@@ -33,8 +40,9 @@ export default defineConfig({
     navigationTimeout: 0,
     /* Base URL to use in actions like `await page.goto('/')`. */
     // The BASE_URL is read from process.env.BASE_URL (can be set via the
-    // `scripts/set-baseurl.js` helper). Falls back to the existing default.
-    baseURL: process.env.BASE_URL || "https://diyaa.in",
+    // `scripts/set-baseurl.js` helper or a store profile). Falls back to the
+    // existing default.
+    baseURL: getBaseUrl(),
 
     /* Collect trace when retrying the failed test. See https://playwright.dev/docs/trace-viewer */
     trace: "on-first-retry",
@@ -1,87 +1,556 @@
 const path = require("path");
 const fs = require("fs");
 const { exec } = require("child_process");
+const { applyProfile, getProfileName } = require("./tests/utils/config");
+const { MAX_CONCURRENCY } = require("./tests/utils/syncPool");
+const { createPrompter } = require("./tests/utils/prompter");
 
-// Set browsers path to our browsers directory
-process.env.PLAYWRIGHT_BROWSERS_PATH = path.join(process.cwd(), "browsers");
-console.log(`Using browsers from: ${process.env.PLAYWRIGHT_BROWSERS_PATH}`);
+const USAGE = `Usage: diyaa-shop [command] [options]
 
-// Create a logs directory for error logs
-const logsDir = path.join(process.cwd(), "logs");
-if (!fs.existsSync(logsDir)) {
-  fs.mkdirSync(logsDir, { recursive: true });
+Commands:
+  run                         Process "New" orders (default)
+  dry-run                     Plan carriers for "New" orders without syncing or saving
+  order <id|range>...         Process only the given order IDs, e.g. order 1590 1600-1610
+  check-pincode <pincode>...  Show which carriers in data/ serve a pincode, and which
+                              pass the carrier rules for --state / --payment-type
+  report [summary-file]       Print the latest run summary (or the given one)
+  credentials set|rotate|clear
+                              Store the admin login encrypted under a passphrase,
+                              change it, or delete it
+
+Options:
+  --headed                    Show the browser (default)
+  --headless                  Run the browser without a window
+  --carrier <chain>           Carrier chain, e.g. DTDC,Delhivery,Shiprocket (CARRIER_CHAIN)
+  --count <n>                 Stop after n successful orders (PROCESS_COUNT)
+  --concurrency <n>           Sync up to n orders in parallel tabs, 1-8 (CONCURRENCY)
+  --env-file <path>           Read settings from this file instead of .env (ENV_FILE)
+  --profile <name>            Use a store profile from profiles.json (PROFILE)
+  --resume                    Continue the last interrupted run from the run journal
+  --file <path>               check-pincode: read pincodes from a .txt, .csv or .xlsx file
+  --state <state>             check-pincode: order state, e.g. "Tamil Nadu"
+  --payment-type <type>       check-pincode: order payment type, e.g. Prepaid or COD
+  --payment-status <status>   check-pincode: order payment status (default Success)
+  -h, --help                  Show this help`;
+
+const COMMANDS = [
+  "run",
+  "dry-run",
+  "order",
+  "check-pincode",
+  "report",
+  "credentials",
+];
+const CREDENTIAL_ACTIONS = ["set", "rotate", "clear"];
+// passphrases shorter than this are refused by `credentials set|rotate`
+const MIN_PASSPHRASE_LENGTH = 8;
+
+// Secret values (password, passphrase) masked in everything log() writes
+const secrets = new Set();
+
+function redact(text) {
+  let out = String(text);
+  for (const secret of secrets) {
+    if (secret) out = out.split(secret).join("****");
+  }
+  return out;
 }
 
-// Create a timestamp for log files
-const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
-const logFile = path.join(logsDir, `run-log-${timestamp}.txt`);
+// Parse argv into { command, args, options }. Throws on unknown or
+// malformed options so typos don't silently run against live orders.
+function parseArgs(argv) {
+  const options = { headed: true };
+  const positional = [];
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const takeValue = () => {
+      const value = argv[i + 1];
+      if (value === undefined || value.startsWith("--")) {
+        throw new Error(`Option ${arg} needs a value`);
+      }
+      i++;
+      return value;
+    };
+    switch (arg) {
+      case "-h":
+      case "--help":
+        options.help = true;
+        break;
+      case "--headed":
+        options.headed = true;
+        break;
+      case "--headless":
+        options.headed = false;
+        break;
+      case "--carrier":
+        options.carrier = takeValue();
+        break;
+      case "--count": {
+        const value = takeValue();
+        const count = Number(value);
+        if (!Number.isInteger(count) || count <= 0) {
+          throw new Error(
+            `--count must be a positive integer (got '${value}')`
+          );
+        }
+        options.count = count;
+        break;
+      }
+      case "--concurrency": {
+        const value = takeValue();
+        const concurrency = Number(value);
+        if (
+          !Number.isInteger(concurrency) ||
+          concurrency < 1 ||
+          concurrency > MAX_CONCURRENCY
+        ) {
+          throw new Error(
+            `--concurrency must be a whole number from 1 to ${MAX_CONCURRENCY} (got '${value}')`
+          );
+        }
+        options.concurrency = concurrency;
+        break;
+      }
+      case "--env-file":
+        options.envFile = path.resolve(process.cwd(), takeValue());
+        break;
+      case "--profile":
+        options.profile = takeValue();
+        break;
+      case "--resume":
+        options.resume = true;
+        break;
+      case "--file":
+        options.file = takeValue();
+        break;
+      case "--state":
+        options.state = takeValue();
+        break;
+      case "--payment-type":
+        options.paymentType = takeValue();
+        break;
+      case "--payment-status":
+        options.paymentStatus = takeValue();
+        break;
+      default:
+        if (arg.startsWith("-")) throw new Error(`Unknown option: ${arg}`);
+        positional.push(arg);
+    }
+  }
+
+  const command = positional.length ? positional.shift() : "run";
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown command: ${command}`);
+  }
+  if (command === "order" && positional.length === 0) {
+    throw new Error("order needs at least one order ID or range");
+  }
+  if (command === "check-pincode" && positional.length === 0 && !options.file) {
+    throw new Error("check-pincode needs at least one pincode or --file");
+  }
+  if (
+    command === "credentials" &&
+    !CREDENTIAL_ACTIONS.includes(positional[0])
+  ) {
+    throw new Error(
+      `credentials needs one of: ${CREDENTIAL_ACTIONS.join(", ")}`
+    );
+  }
+  return { command, args: positional, options };
+}
 
-// Log function to both console and log file
-function log(message) {
-  const timePrefix = `[${new Date().toISOString()}] `;
-  console.log(timePrefix + message);
+// Map CLI options onto the environment variables the page objects read
+function applyOptionsToEnv({ command, args, options }) {
+  if (options.envFile) {
+    if (!fs.existsSync(options.envFile)) {
+      throw new Error(`Env file not found: ${options.envFile}`);
+    }
+    process.env.ENV_FILE = options.envFile;
+  }
+  // load the env file here too, so commands that don't start Playwright
+  // (check-pincode) see the same settings; values already set win
   try {
-    fs.appendFileSync(logFile, timePrefix + message + "\n");
+    require("dotenv").config({
+      path: options.envFile || path.join(process.cwd(), ".env"),
+    });
   } catch (e) {
-    console.error("Failed to write to log file:", e);
+    // dotenv missing - rely on the process environment only
+  }
+  // the store profile overrides .env; the options below override the profile
+  if (options.profile) process.env.PROFILE = options.profile;
+  applyProfile();
+  if (options.carrier) process.env.CARRIER_CHAIN = options.carrier;
+  if (options.count) process.env.PROCESS_COUNT = String(options.count);
+  if (options.concurrency) {
+    process.env.CONCURRENCY = String(options.concurrency);
   }
+  if (options.resume) process.env.RESUME = "1";
+  if (command === "dry-run") process.env.DRY_RUN = "1";
+  if (command === "order") process.env.ORDER_IDS = args.join(",");
 }
 
-log("Starting Diyaa automation test in headed mode...");
-
-let child;
-try {
-  // Directly run Playwright test via CLI
-  const command = `node ./node_modules/@playwright/test/cli.js test tests/login.spec.js --headed`;
-  log(`Executing command: ${command}`);
-
-  child = exec(command, {
-    env: { ...process.env },
-  });
-
-  // Capture and log stdout
-  child.stdout.on("data", (data) => {
-    log(`STDOUT: ${data.toString().trim()}`);
-  });
-
-  // Capture and log stderr
-  child.stderr.on("data", (data) => {
-    log(`ERROR: ${data.toString().trim()}`);
-  });
-
-  // Handle process completion
-  child.on("close", (code) => {
-    if (code === 0) {
-      log("Test completed successfully!");
-    } else {
-      log(`Test failed with exit code: ${code}`);
-      // Check for test result file
-      const testResultFile = path.join(
-        process.cwd(),
-        "test-results",
-        ".last-run.json"
-      );
-      if (fs.existsSync(testResultFile)) {
-        try {
-          const results = JSON.parse(fs.readFileSync(testResultFile, "utf-8"));
-          log(`Test results: ${JSON.stringify(results, null, 2)}`);
-        } catch (e) {
-          log(`Failed to read test results: ${e}`);
+// Run the Playwright order flow, logging to logs/run-log-<ts>.txt
+// (run-log-<profile>-<ts>.txt with a store profile)
+function runPlaywright({ command, options }, credentials = null) {
+  // Set browsers path to our browsers directory
+  process.env.PLAYWRIGHT_BROWSERS_PATH = path.join(process.cwd(), "browsers");
+  console.log(`Using browsers from: ${process.env.PLAYWRIGHT_BROWSERS_PATH}`);
+
+  // Create a logs directory for error logs
+  const logsDir = path.join(process.cwd(), "logs");
+  if (!fs.existsSync(logsDir)) {
+    fs.mkdirSync(logsDir, { recursive: true });
+  }
+
+  // Create a timestamp for log files
+  const timestamp = new Date().toISOString().replace(/[:.]/g, "-");
+  const profile = getProfileName();
+  const logFile = path.join(
+    logsDir,
+    `run-log-${profile ? `${profile}-` : ""}${timestamp}.txt`
+  );
+
+  // Log function to both console and log file
+  function log(message) {
+    const timePrefix = `[${new Date().toISOString()}] ${
+      profile ? `[${profile}] ` : ""
+    }`;
+    // never let the password or passphrase reach the console or log file
+    message = redact(message);
+    console.log(timePrefix + message);
+    try {
+      fs.appendFileSync(logFile, timePrefix + message + "\n");
+    } catch (e) {
+      console.error("Failed to write to log file:", e);
+    }
+  }
+
+  log(
+    `Starting Diyaa automation (${command}) in ${
+      options.headed ? "headed" : "headless"
+    } mode...`
+  );
+  if (profile) {
+    log(`Store profile: ${profile} (${process.env.BASE_URL || "default URL"})`);
+  }
+  if (options.resume) {
+    // --resume continues the last run that never finished, skipping every
+    // order the run journal (logs/run-journal.jsonl) already has an outcome for
+    log("Resuming the last interrupted run from the run journal");
+  }
+  if (process.env.ORDER_IDS && command === "order") {
+    log(`Processing only order IDs: ${process.env.ORDER_IDS}`);
+  }
+
+  let child;
+  try {
+    // Directly run Playwright test via CLI
+    const cliCommand = `node ./node_modules/@playwright/test/cli.js test tests/login.spec.js${
+      options.headed ? " --headed" : ""
+    }`;
+    log(`Executing command: ${cliCommand}`);
+
+    // unlocked credentials go to the child only, never into process.env
+    const { handOffEnv } = require("./tests/utils/credentialStore");
+    child = exec(cliCommand, {
+      env: handOffEnv(process.env, credentials),
+    });
+
+    // Capture and log stdout / stderr a whole line at a time, so a secret
+    // split across two chunks is still masked
+    const logLines = (stream, prefix) => {
+      let pending = "";
+      stream.on("data", (data) => {
+        const lines = (pending + data.toString()).split(/\r?\n/);
+        pending = lines.pop();
+        for (const line of lines) {
+          if (line.trim()) log(`${prefix}: ${line.trim()}`);
+        }
+      });
+      return () => {
+        if (pending.trim()) log(`${prefix}: ${pending.trim()}`);
+        pending = "";
+      };
+    };
+    const flushStdout = logLines(child.stdout, "STDOUT");
+    const flushStderr = logLines(child.stderr, "ERROR");
+
+    // Handle process completion
+    child.on("close", (code) => {
+      flushStdout();
+      flushStderr();
+      if (code === 0) {
+        log("Test completed successfully!");
+      } else {
+        log(`Test failed with exit code: ${code}`);
+        // Check for test result file
+        const testResultFile = path.join(
+          process.cwd(),
+          "test-results",
+          ".last-run.json"
+        );
+        if (fs.existsSync(testResultFile)) {
+          try {
+            const results = JSON.parse(
+              fs.readFileSync(testResultFile, "utf-8")
+            );
+            log(`Test results: ${JSON.stringify(results, null, 2)}`);
+          } catch (e) {
+            log(`Failed to read test results: ${e}`);
+          }
         }
+        // Save error log location for user reference
+        log(`For detailed logs, check: ${logFile}`);
+        process.exit(code);
+      }
+    });
+
+    // Keep the process alive so the window doesn't close immediately
+    process.stdin.resume();
+  } catch (err) {
+    log(`Test execution error: ${err.message}`);
+    if (err.stack) {
+      log(`Stack trace: ${err.stack}`);
+    }
+    process.stdin.resume();
+    process.exit(1);
+  }
+}
+
+// Ask for a new passphrase twice
+async function askNewPassphrase(prompt, question) {
+  const passphrase = await prompt.ask(question, { hidden: true });
+  if (!passphrase) return "";
+  if (passphrase.length < MIN_PASSPHRASE_LENGTH) {
+    throw new Error(
+      `The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`
+    );
+  }
+  const again = await prompt.ask("Repeat the passphrase: ", { hidden: true });
+  if (again !== passphrase) throw new Error("The passphrases do not match");
+  return passphrase;
+}
+
+// `credentials set|rotate|clear`: manage the encrypted credential store
+async function manageCredentials(action) {
+  const store = require("./tests/utils/credentialStore");
+  const file = store.getCredentialsFile();
+  if (action === "clear") {
+    console.log(
+      store.clearCredentials()
+        ? `Removed stored credentials ${file}`
+        : `No stored credentials at ${file}`
+    );
+    return 0;
+  }
+
+  const prompt = createPrompter();
+  try {
+    if (action === "set") {
+      if (store.hasStoredCredentials()) {
+        console.log(`Replacing the stored credentials in ${file}`);
       }
-      // Save error log location for user reference
-      log(`For detailed logs, check: ${logFile}`);
-      process.exit(code);
+      const username = (await prompt.ask("Admin username: ")).trim();
+      const password = await prompt.ask("Admin password: ", { hidden: true });
+      const passphrase = await askNewPassphrase(prompt, "New passphrase: ");
+      if (!passphrase) throw new Error("A passphrase is required");
+      store.saveCredentials({ username, password }, passphrase);
+      console.log(`Credentials saved to ${file}`);
+      return 0;
+    }
+
+    // rotate: unlock with the current passphrase, then change the password
+    // and/or the passphrase; empty answers keep the current value
+    const current = await prompt.ask("Current passphrase: ", { hidden: true });
+    const stored = store.loadCredentials(current);
+    const username =
+      (await prompt.ask(`Admin username [${stored.username}]: `)).trim() ||
+      stored.username;
+    const password =
+      (await prompt.ask("New admin password (empty keeps the current one): ", {
+        hidden: true,
+      })) || stored.password;
+    const passphrase = await askNewPassphrase(
+      prompt,
+      "New passphrase (empty keeps the current one): "
+    );
+    store.saveCredentials({ username, password }, passphrase || current);
+    console.log(`Credentials updated in ${file}`);
+    return 0;
+  } finally {
+    prompt.close();
+  }
+}
+
+// When .env has no LOGIN_USERNAME / LOGIN_PASSWORD, unlock the credential
+// store before starting Playwright: the passphrase comes from
+// CREDENTIALS_PASSPHRASE or a prompt, so a typo fails before the browser
+// opens. Returns the decrypted credentials for runPlaywright to hand to
+// LoginPage, or null when the store isn't used.
+async function unlockCredentials() {
+  if (process.env.LOGIN_PASSWORD) secrets.add(process.env.LOGIN_PASSWORD);
+  const store = require("./tests/utils/credentialStore");
+  if (
+    (process.env.LOGIN_USERNAME && process.env.LOGIN_PASSWORD) ||
+    !store.hasStoredCredentials()
+  ) {
+    return null;
+  }
+  let passphrase = process.env.CREDENTIALS_PASSPHRASE;
+  if (!passphrase) {
+    if (!process.stdin.isTTY) {
+      throw new Error(
+        `Credentials in ${store.getCredentialsFile()} are locked: set CREDENTIALS_PASSPHRASE or run from a terminal`
+      );
+    }
+    const prompt = createPrompter();
+    try {
+      passphrase = await prompt.ask("Passphrase for the stored credentials: ", {
+        hidden: true,
+      });
+    } finally {
+      prompt.close();
+    }
+  }
+  const { username, password } = store.loadCredentials(passphrase);
+  secrets.add(passphrase);
+  secrets.add(password);
+  return { username, password };
+}
+
+// Print which carriers serve each pincode and, when the order details are
+// given, which of them pass the carrier rules
+function checkPincode(pincodes, options) {
+  const {
+    readPincodeList,
+    lookupPincodes,
+    formatLookup,
+  } = require("./tests/utils/pincodeLookup");
+  const all = [...pincodes];
+  if (options.file) all.push(...readPincodeList(options.file));
+  if (all.length === 0) {
+    console.error("No pincodes to check.");
+    return 1;
+  }
+  const order = {
+    state: options.state,
+    paymentType: options.paymentType,
+    paymentStatus:
+      options.paymentStatus ||
+      (options.state || options.paymentType ? "Success" : undefined),
+  };
+  console.log(formatLookup(lookupPincodes(all, order), order));
+  return 0;
+}
+
+// Print the latest logs/summary-<ts>.txt (or the given file) and point at
+// the machine-readable files written with it. With a store profile only that
+// profile's summaries (summary-<profile>-<ts>.txt) are considered.
+function printReport(file) {
+  const logsDir = path.join(process.cwd(), "logs");
+  let summaryFile = file ? path.resolve(process.cwd(), file) : null;
+  if (!summaryFile) {
+    const profile = getProfileName();
+    const prefix = profile ? `summary-${profile}-` : "summary-";
+    // the timestamp must follow the prefix, so another profile's
+    // summary-<profile>-<ts>.txt never counts
+    const isSummary = (f) =>
+      f.startsWith(prefix) &&
+      /^\d/.test(f.slice(prefix.length)) &&
+      f.endsWith(".txt");
+    const candidates = fs.existsSync(logsDir)
+      ? fs
+          .readdirSync(logsDir)
+          .filter(isSummary)
+          .sort(
+            (a, b) =>
+              fs.statSync(path.join(logsDir, a)).mtimeMs -
+              fs.statSync(path.join(logsDir, b)).mtimeMs
+          )
+      : [];
+    if (candidates.length === 0) {
+      console.error(
+        `No run summaries${
+          profile ? ` for profile ${profile}` : ""
+        } found in ${logsDir}`
+      );
+      return 1;
     }
-  });
+    summaryFile = path.join(logsDir, candidates[candidates.length - 1]);
+  }
+  if (!fs.existsSync(summaryFile)) {
+    console.error(`Summary file not found: ${summaryFile}`);
+    return 1;
+  }
+  console.log(`${summaryFile}\n`);
+  console.log(fs.readFileSync(summaryFile, "utf8"));
 
-  // Keep the process alive so the window doesn't close immediately
-  process.stdin.resume();
-} catch (err) {
-  log(`Test execution error: ${err.message}`);
-  if (err.stack) {
-    log(`Stack trace: ${err.stack}`);
+  // sibling files written with the same profile and timestamp
+  const stem = path.basename(summaryFile).replace(/\.txt$/, "");
+  const dir = path.dirname(summaryFile);
+  const siblings = [
+    path.join(dir, `${stem}.json`),
+    path.join(dir, `${stem}.csv`),
+    path.join(dir, `${stem.replace(/^summary-/, "dispatch-")}.xlsx`),
+  ].filter((f) => fs.existsSync(f));
+  if (siblings.length) {
+    console.log("Also written:");
+    for (const f of siblings) console.log(`  ${f}`);
   }
-  process.stdin.resume();
-  process.exit(1);
+  return 0;
 }
+
+async function main() {
+  let parsed;
+  try {
+    parsed = parseArgs(process.argv.slice(2));
+  } catch (e) {
+    console.error(e.message);
+    console.error(`\n${USAGE}`);
+    process.exit(2);
+  }
+  if (parsed.options.help) {
+    console.log(USAGE);
+    return;
+  }
+  try {
+    applyOptionsToEnv(parsed);
+  } catch (e) {
+    console.error(e.message);
+    process.exit(2);
+  }
+
+  switch (parsed.command) {
+    case "check-pincode":
+      try {
+        process.exit(checkPincode(parsed.args, parsed.options));
+      } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+      }
+      break;
+    case "report":
+      process.exit(printReport(parsed.args[0]));
+      break;
+    case "credentials":
+      try {
+        process.exit(await manageCredentials(parsed.args[0]));
+      } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+      }
+      break;
+    default: {
+      let credentials;
+      try {
+        credentials = await unlockCredentials();
+      } catch (e) {
+        console.error(e.message);
+        process.exit(1);
+      }
+      runPlaywright(parsed, credentials);
+    }
+  }
+}
+
+main();
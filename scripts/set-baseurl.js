@@ -1,10 +1,41 @@
 #!/usr/bin/env node
+// Setup wizard for .env (or the file named by ENV_FILE): asks for each
+// setting the automation reads, showing the current value, validates the
+// answer and rewrites the file. Lines for other keys, comments and blank
+// lines are kept as they are.
+//
+// Enter leaves a setting as it is (unset settings keep their built-in
+// default), "-" removes the key. The admin password is never asked for:
+// it belongs in the encrypted store (`run.js credentials set`). Keys that
+// are only edited by hand are listed with their current values.
 const fs = require("fs");
 const path = require("path");
-const readline = require("readline");
+const { MAX_CONCURRENCY } = require("../tests/utils/syncPool");
+const { getDataDir } = require("../tests/utils/config");
+const { createPrompter } = require("../tests/utils/prompter");
 
+const ROOT = path.resolve(__dirname, "..");
 const DEFAULT = "https://diyaa.in";
-const envPath = path.resolve(__dirname, "..", ".env");
+const envPath = process.env.ENV_FILE
+  ? path.resolve(process.cwd(), process.env.ENV_FILE)
+  : path.join(ROOT, ".env");
+const CLEAR = "-";
+
+// other keys the automation reads from .env, shown but not asked for
+const LISTED_KEYS = [
+  "DATA_DIR",
+  "CARRIER_RULES_FILE",
+  "DIALOG_POLICY_FILE",
+  "RETRY_POLICY",
+  "RUN_JOURNAL_FILE",
+  "FORENSICS",
+  "FORENSICS_TRACE",
+  "ORDER_IDS",
+  "ORDER_IDS_FILE",
+  "EXCLUDE_ORDER_IDS",
+  "EXCLUDE_ORDER_IDS_FILE",
+  "CREDENTIALS_FILE",
+];
 
 function isValidUrl(u) {
   try {
@@ -16,29 +47,268 @@ function isValidUrl(u) {
   }
 }
 
-const rl = readline.createInterface({
-  input: process.stdin,
-  output: process.stdout,
-});
-rl.question(`Base URL [${DEFAULT}]: `, (answer) => {
-  let val = (answer && answer.trim()) || DEFAULT;
-  if (!isValidUrl(val)) {
-    // try to prefix https:// and revalidate
-    if (isValidUrl(`https://${val}`)) val = `https://${val}`;
-    else {
-      console.error("Invalid URL. Aborting.");
-      process.exit(2);
+// Carriers the automation knows about: data/ pincode files and carrier
+// rules next to the project. Empty when neither exists, in which case any
+// name is accepted.
+function knownCarriers() {
+  const names = new Map();
+  try {
+    const {
+      listServiceabilityCarriers,
+    } = require("../tests/utils/serviceability");
+    for (const name of listServiceabilityCarriers(getDataDir(ROOT))) {
+      names.set(name.toLowerCase(), name);
+    }
+  } catch (e) {
+    console.warn(`Could not list data/ pincode files: ${e.message}`);
+  }
+  try {
+    const { getRuleCarriers } = require("../tests/utils/carrierRules");
+    for (const name of getRuleCarriers({ baseDir: ROOT })) {
+      names.set(name.toLowerCase(), name);
+    }
+  } catch (e) {
+    console.warn(`Could not read the carrier rules: ${e.message}`);
+  }
+  return names;
+}
+
+// Validate a comma-separated carrier list against the known carriers and
+// return it with their spelling, or throw
+function carrierList(value, carriers, { single = false } = {}) {
+  const parts = value
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean);
+  if (parts.length === 0) throw new Error("Enter at least one carrier");
+  if (single && parts.length > 1) throw new Error("Enter a single carrier");
+  if (carriers.size === 0) return parts.join(",");
+  const unknown = parts.filter((p) => !carriers.has(p.toLowerCase()));
+  if (unknown.length) {
+    throw new Error(
+      `Unknown carrier(s): ${unknown.join(", ")}. Known: ${[
+        ...carriers.values(),
+      ].join(", ")} (data/ files and carrier-rules.json)`
+    );
+  }
+  return parts.map((p) => carriers.get(p.toLowerCase())).join(",");
+}
+
+// Each setting: prompt label, validate(value) returning the value to store
+// (or throwing), and optional default / skip
+function buildSettings(carriers) {
+  const number = (value, { min, max, integer }) => {
+    const n = Number(value);
+    if (
+      !Number.isFinite(n) ||
+      (integer && !Number.isInteger(n)) ||
+      n < min ||
+      (max !== undefined && n > max)
+    ) {
+      throw new Error(
+        `Enter ${integer ? "a whole number" : "a number"} ${
+          max !== undefined ? `from ${min} to ${max}` : `of at least ${min}`
+        }`
+      );
+    }
+    return String(n);
+  };
+  const onOff = (value) => {
+    if (/^(1|true|yes|on)$/i.test(value)) return "1";
+    if (/^(0|false|no|off)$/i.test(value)) return "0";
+    throw new Error("Enter on or off");
+  };
+  return [
+    {
+      key: "BASE_URL",
+      label: "Admin base URL",
+      default: DEFAULT,
+      validate: (v) => {
+        if (!isValidUrl(v)) throw new Error("Invalid URL");
+        return (v.startsWith("http") ? v : `https://${v}`).replace(/\/$/, "");
+      },
+    },
+    {
+      key: "LOGIN_USERNAME",
+      label:
+        "Admin login user name (the password is not asked here: use `credentials set`)",
+      validate: (v) => v,
+    },
+    {
+      key: "CARRIER_CHAIN",
+      label: "Carrier chain, in order of preference",
+      validate: (v) => carrierList(v, carriers),
+    },
+    {
+      key: "CARRIER_OVERRIDE",
+      label: "Single carrier (used only without a carrier chain)",
+      skip: (env) => Boolean(env.CARRIER_CHAIN),
+      validate: (v) => carrierList(v, carriers, { single: true }),
+    },
+    {
+      key: "PROCESS_COUNT",
+      label: "Stop after this many successful orders (empty: all)",
+      validate: (v) => number(v, { min: 1, integer: true }),
+    },
+    {
+      key: "CONCURRENCY",
+      label: `Orders synced in parallel tabs (1-${MAX_CONCURRENCY})`,
+      default: "1",
+      validate: (v) =>
+        number(v, { min: 1, max: MAX_CONCURRENCY, integer: true }),
+    },
+    {
+      key: "ADDRESS_MIN_SCORE",
+      label: "Minimum address score, 0 turns the review hold off",
+      default: "70",
+      validate: (v) => number(v, { min: 0, max: 100 }),
+    },
+    {
+      key: "ADDRESS_STATE_CHECK",
+      label: "Check the state against the pincode (on/off)",
+      default: "on",
+      validate: onOff,
+    },
+    {
+      key: "VERIFY_SAVE",
+      label:
+        "Reload each saved order and check its carrier, AWB and status (on/off)",
+      default: "on",
+      validate: onOff,
+    },
+    {
+      key: "JOURNAL_RECENT_HOURS",
+      label: "Skip orders synced within this many hours (0 = off)",
+      default: "24",
+      validate: (v) => number(v, { min: 0 }),
+    },
+  ];
+}
+
+function readEnv() {
+  if (!fs.existsSync(envPath)) return { text: "", values: {} };
+  const text = fs.readFileSync(envPath, "utf8");
+  return { text, values: require("dotenv").parse(text) };
+}
+
+// Quote values dotenv would otherwise cut at "#" or trim
+function formatValue(value) {
+  if (/^[^\s#"'`\\]*$/.test(value)) return value;
+  if (!value.includes("'")) return `'${value}'`;
+  if (!/["\\]/.test(value)) return `"${value}"`;
+  return `\`${value}\``;
+}
+
+// Replace (or remove, for null) the given keys in the .env text; keys not
+// there yet are appended
+function updateEnvText(text, updates) {
+  const lines = text ? text.replace(/\r?\n$/, "").split(/\r?\n/) : [];
+  const written = new Set();
+  const out = [];
+  for (const line of lines) {
+    const m = line.match(/^(\s*(?:export\s+)?)([A-Za-z_][A-Za-z0-9_.-]*)\s*=/);
+    if (!m || !(m[2] in updates)) {
+      out.push(line);
+      continue;
+    }
+    const value = updates[m[2]];
+    if (value === null) continue;
+    out.push(`${m[1]}${m[2]}=${formatValue(value)}`);
+    written.add(m[2]);
+  }
+  for (const [key, value] of Object.entries(updates)) {
+    if (value !== null && !written.has(key)) {
+      out.push(`${key}=${formatValue(value)}`);
+    }
+  }
+  return out.length ? out.join("\n") + "\n" : "";
+}
+
+async function main() {
+  const { text, values } = readEnv();
+  const settings = buildSettings(knownCarriers());
+  console.log(
+    `Editing ${envPath}\nEnter keeps the value in [brackets], "${CLEAR}" removes the setting.\n`
+  );
+  console.log(
+    "The admin password is not kept in .env: store the login encrypted with `diyaa-shop credentials set` (`node run.js credentials set`).\n"
+  );
+  if (values.LOGIN_PASSWORD) {
+    console.warn(
+      `LOGIN_PASSWORD is set in plain text in ${envPath}. Store it with \`credentials set\`, then remove LOGIN_USERNAME and LOGIN_PASSWORD from the file.\n`
+    );
+  }
+  console.log("Edited by hand (see README):");
+  for (const key of LISTED_KEYS) {
+    console.log(
+      `  ${key}=${values[key] !== undefined ? values[key] : "(not set)"}`
+    );
+  }
+  console.log("");
+
+  const prompt = createPrompter();
+  const updates = {};
+  const env = { ...values };
+  try {
+    for (const setting of settings) {
+      if (setting.skip && setting.skip(env)) continue;
+      const current = values[setting.key];
+      const shown = current || setting.default || "";
+      for (;;) {
+        const answer = (
+          await prompt.ask(`${setting.label}\n  ${setting.key} [${shown}]: `)
+        ).trim();
+        if (answer === CLEAR) {
+          if (current !== undefined) updates[setting.key] = null;
+          delete env[setting.key];
+          break;
+        }
+        if (!answer) {
+          // leave the line untouched, but point out a value the code would
+          // reject or ignore
+          if (current) {
+            try {
+              setting.validate(current);
+            } catch (e) {
+              console.warn(`  Keeping the current value: ${e.message}`);
+            }
+          }
+          break;
+        }
+        try {
+          updates[setting.key] = setting.validate(answer);
+          env[setting.key] = updates[setting.key];
+          break;
+        } catch (e) {
+          console.error(`  ${e.message}`);
+        }
+      }
     }
+  } finally {
+    prompt.close();
   }
 
-  const content = `BASE_URL=${val}\n`;
   try {
-    fs.writeFileSync(envPath, content, { encoding: "utf8" });
-    console.log(`Wrote ${envPath}`);
-    console.log(`Using BASE_URL=${val}`);
+    if (Object.keys(updates).length === 0) {
+      console.log(`\nNo changes, ${envPath} left as it was`);
+      return;
+    }
+    fs.writeFileSync(envPath, updateEnvText(text, updates), {
+      encoding: "utf8",
+    });
+    console.log(`\nWrote ${envPath}`);
+    for (const setting of settings) {
+      if (!(setting.key in updates)) continue;
+      const value = updates[setting.key];
+      console.log(`  ${setting.key}=${value === null ? "(removed)" : value}`);
+    }
   } catch (e) {
     console.error("Failed to write .env file:", e.message);
     process.exit(1);
   }
-  rl.close();
+}
+
+main().catch((e) => {
+  console.error(`${e.message}. Aborting, ${envPath} was not changed.`);
+  process.exit(2);
 });
@@ -1,30 +1,46 @@
-require("dotenv").config();
+require("dotenv").config({ path: process.env.ENV_FILE });
+const fs = require("fs");
 const { test, expect } = require("@playwright/test");
-const { LoginPage } = require("./pages/loginPage");
+const {
+  LoginPage,
+  getAuthStateFile,
+  resolveCredentials,
+} = require("./pages/loginPage");
 const { OrderListPage } = require("./pages/orderListPage");
 
+// reuse the session saved by the previous run (.auth/<host>.json) so the
+// credentials are only typed again once it has expired
+const authStateFile = getAuthStateFile();
+test.use({
+  storageState: fs.existsSync(authStateFile) ? authStateFile : undefined,
+});
+
 test("navigate to diyaa.in/login and type credentials using page object", async ({
   page,
 }) => {
   test.setTimeout(0);
   const login = new LoginPage(page);
-  await login.goto();
-  await expect(page).toHaveURL(/.*\/login/);
 
-  const username = process.env.LOGIN_USERNAME;
-  const password = process.env.LOGIN_PASSWORD;
+  // from .env, or from the encrypted store when they are not set there
+  const { username, password } = resolveCredentials();
 
   if (!username || !password) {
     throw new Error(
-      "Missing LOGIN_USERNAME and/or LOGIN_PASSWORD in environment. Add them to a .env file or set env vars."
+      "Missing LOGIN_USERNAME and/or LOGIN_PASSWORD in environment. Add them to a .env file, set env vars, or store them with `diyaa-shop credentials set`."
     );
   }
 
-  await login.fillUsername(username, { delay: 120 });
-  await login.fillPassword(password, { delay: 120 });
-  await login.submit();
-  // wait for master page to load after successful login
-  await page.waitForURL(/.*\/master/, { timeout: 0 });
+  // logs in (and saves the session) unless the saved one is still valid
+  await login.ensureLoggedIn(username, password, { delay: 120 });
+  await expect(page).toHaveURL(/.*\/master/);
+
+  const orders = new OrderListPage(page, {
+    // the admin session can expire during a long run; log in again and let
+    // the order list retry the current order
+    relogin: () => login.login(username, password, { timeout: 60000 }),
+  });
+  // capture the data behind the order table as the list loads
+  orders.watchTableResponses();
 
   // open Orders -> Order List from the left sidebar and verify navigation
   await login.selectOrderList();
@@ -34,16 +50,14 @@ test("navigate to diyaa.in/login and type credentials using page object", async
   await expect(page.locator('h3.box-title:has-text("Order List")')).toBeVisible(
     { timeout: 5000 }
   );
-  // select "All" from the page length dropdown to show all items (value -1)
+  // select "All" from the page length dropdown (value -1), or the largest
+  // length when there is no "All"; the order list then walks the pages
   const pageLength = page.locator('select[name="example_length"]');
   await expect(pageLength).toBeVisible({ timeout: 5000 });
-  await pageLength.selectOption({ value: "-1" });
-  // verify the select has the All value
-  await expect(pageLength).toHaveValue("-1");
+  await orders.showAllRows();
   // verify the table has at least one row (tbody tr)
   const rows = page.locator("table#example tbody tr");
   await expect(rows.first()).toBeVisible({ timeout: 5000 });
-  // create OrderListPage and click each row's address button to open/close popups
-  const orders = new OrderListPage(page);
+  // click each row's address button to open/close popups
   await orders.clickEachRowAddressPopup({ perRowTimeout: 3000 });
 });
@@ -1,8 +1,60 @@
-// runtime base URL (strip trailing slash for consistent joining)
-const BASE_URL = (process.env.BASE_URL || "https://diyaa.in").replace(
-  /\/$/,
-  ""
-);
+const path = require("path");
+const fs = require("fs");
+const {
+  hasStoredCredentials,
+  loadCredentials,
+  takeHandedOffCredentials,
+} = require("../utils/credentialStore");
+const { getBaseUrl } = require("../utils/config");
+
+// runtime base URL (from .env or the active store profile)
+const BASE_URL = getBaseUrl();
+
+// Saved browser session (cookies + local storage) reused by the next run:
+// AUTH_STATE_FILE, or .auth/<host>.json so each BASE_URL keeps its own
+function getAuthStateFile() {
+  if (process.env.AUTH_STATE_FILE) {
+    return path.resolve(process.cwd(), process.env.AUTH_STATE_FILE);
+  }
+  let host = "default";
+  try {
+    host = new URL(BASE_URL).host.replace(/[^A-Za-z0-9.-]/g, "_");
+  } catch (e) {
+    // keep the default name for an unparsable BASE_URL
+  }
+  return path.join(process.cwd(), ".auth", `${host}.json`);
+}
+
+// credentials run.js unlocked from the store, kept here once their env var
+// is removed
+let handedOff = null;
+
+// Admin credentials: LOGIN_USERNAME / LOGIN_PASSWORD when both are set,
+// otherwise the encrypted credential store (`run.js credentials set`), as
+// unlocked by run.js or with CREDENTIALS_PASSPHRASE when Playwright is run
+// directly. Throws when the store can't be unlocked; returns nulls when
+// there are no credentials at all.
+function resolveCredentials() {
+  handedOff = handedOff || takeHandedOffCredentials();
+  const username = process.env.LOGIN_USERNAME;
+  const password = process.env.LOGIN_PASSWORD;
+  if (username && password) return { username, password };
+  if (handedOff) return { ...handedOff };
+  if (hasStoredCredentials()) {
+    const stored = loadCredentials(process.env.CREDENTIALS_PASSPHRASE);
+    return { username: stored.username, password: stored.password };
+  }
+  return { username: username || null, password: password || null };
+}
+
+// true when the admin sent the page to its login form
+function isLoginUrl(url) {
+  try {
+    return /^\/login\/?$/.test(new URL(url).pathname);
+  } catch (e) {
+    return false;
+  }
+}
 
 class LoginPage {
   /**
@@ -75,6 +127,57 @@ class LoginPage {
     }
   }
 
+  // Type the credentials, submit and wait for the master page, then save the
+  // session for the next run. Returns quickly when the session is still
+  // valid (the login page redirects away).
+  async login(username, password, { delay = 120, timeout = 0 } = {}) {
+    await this.goto();
+    if (!isLoginUrl(this.page.url())) {
+      await this.saveSession();
+      return;
+    }
+    await this.fillUsername(username, { delay });
+    await this.fillPassword(password, { delay });
+    await this.submit();
+    // wait for master page to load after successful login
+    await this.page.waitForURL(/.*\/master/, { timeout });
+    await this.saveSession();
+  }
+
+  // Use the session loaded from the saved browser state when it is still
+  // valid, otherwise log in. Returns { reused }.
+  async ensureLoggedIn(username, password, options = {}) {
+    if (fs.existsSync(getAuthStateFile())) {
+      try {
+        await this.page.goto(`${BASE_URL}/master`);
+        await this.page.waitForLoadState("networkidle");
+      } catch (e) {
+        // fall through to a fresh login
+      }
+      if (/\/master/.test(this.page.url())) {
+        // eslint-disable-next-line no-console
+        console.log(`Reusing saved session from ${getAuthStateFile()}`);
+        return { reused: true };
+      }
+      // eslint-disable-next-line no-console
+      console.log("Saved session has expired, logging in again");
+    }
+    await this.login(username, password, options);
+    return { reused: false };
+  }
+
+  // Write the browser's cookies and local storage to the auth state file
+  async saveSession() {
+    const file = getAuthStateFile();
+    try {
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      await this.page.context().storageState({ path: file });
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.warn(`Could not save the session to ${file}: ${e.message}`);
+    }
+  }
+
   // Navigate the left sidebar and open Orders > Order List
   async selectOrderList() {
     // Wait for the sidebar menu to be present on the master page
@@ -202,4 +305,9 @@ class LoginPage {
   }
 }
 
-module.exports = { LoginPage };
+module.exports = {
+  LoginPage,
+  getAuthStateFile,
+  isLoginUrl,
+  resolveCredentials,
+};
@@ -1,167 +1,205 @@
 const path = require("path");
 const fs = require("fs");
-let xlsx;
-try {
-  xlsx = require("xlsx");
-} catch (e) {
-  // If xlsx isn't installed, we'll fail later when attempting to read files.
-  xlsx = null;
-}
-
-// Optional list of order IDs to process during a run. If this Set is
-// non-empty, only orders whose IDs appear in this Set will be processed.
-// If empty, all orders will be processed. Order IDs are stored as strings
-// for consistent comparison.
-const ORDERS_TO_PROCESS = new Set([]);
+const {
+  loadExcelCacheForCarrier,
+  loadExcelCaches,
+  getCarrierPincodes,
+  listServiceabilityCarriers,
+  checkPincodeServiceability,
+  isPincodeServiceable,
+} = require("../utils/serviceability");
+const {
+  loadCarrierRules,
+  evaluateCarrierRules,
+} = require("../utils/carrierRules");
+const { RunJournal } = require("../utils/runJournal");
+const { SyncPool } = require("../utils/syncPool");
+const {
+  PermanentError,
+  classifyError,
+  withRetry,
+  countRetries,
+} = require("../utils/retryPolicy");
+const {
+  recordsFromJson,
+  recordsFromRows,
+  findColumns,
+  textShowsOrderId,
+  compareRecord,
+} = require("../utils/orderTable");
+const { checkPincodeState } = require("../utils/pincodeState");
+const { loadDialogPolicy, dialogAction } = require("../utils/dialogPolicy");
+const {
+  isForensicsEnabled,
+  isTraceEnabled,
+  forensicsRunDir,
+  orderForensicsDir,
+  saveScreenshot,
+  readOuterHtml,
+  writeText,
+  displayPath,
+} = require("../utils/forensics");
+const {
+  isVerifySaveEnabled,
+  readOrderDetails,
+  checkSavedOrder,
+} = require("../utils/orderVerification");
+const { parseAddress } = require("../utils/addressParser");
+const { isLoginUrl } = require("./loginPage");
+const { getMinAddressScore, scoreAddress } = require("../utils/addressScore");
+const { getBaseUrl, getProfileName, logFileName } = require("../utils/config");
+const {
+  loadOrderSelection,
+  selectionSkipReason,
+} = require("../utils/orderSelection");
+const {
+  writeJsonSummary,
+  writeCsvSummary,
+  writeDispatchWorkbook,
+} = require("../utils/runReport");
 
 // Extract pincode(s) from a raw text blob.
-// Returns an array of numeric pincodes as strings (e.g. ['689672']).
-// Matches formats like 'Pincode : 689672', 'Pincode:689672', or plain 6-digit numbers.
+// Returns an array of numeric pincodes as strings (e.g. ['689672']), the
+// shipping address's first. See utils/addressParser for the formats read.
 function extractPincode(rawText) {
   if (!rawText || typeof rawText !== "string") return [];
-
-  // normalize and search for 6-digit sequences which are typical pincodes
-  const candidates = [];
-
-  // First try to find patterns like 'Pincode *: *123456'
-  const labelled = rawText.match(/Pincode\s*[:\-]?\s*(\d{4,6})/gi);
-  if (labelled) {
-    for (const m of labelled) {
-      const num = m.match(/(\d{4,6})/);
-      if (num) candidates.push(num[1]);
-    }
-  }
-
-  // Fallback: find any 4-6 digit sequences (some pincodes may be 4-6 digits depending on locale)
-  if (!candidates.length) {
-    const any = rawText.match(/\b\d{4,6}\b/g);
-    if (any) candidates.push(...any);
-  }
-
+  const { shipping, billing, address } = parseAddress(rawText);
+  const pincodes = [address, shipping, billing]
+    .filter((block) => block && block.pincode)
+    .map((block) => block.pincode);
   // dedupe while keeping order
-  return [...new Set(candidates)];
+  return [...new Set(pincodes)];
 }
 
 // Extract state from a raw text blob.
 // Returns the state name as a string (e.g. 'Tamil Nadu').
-// Matches formats like 'State : Tamil Nadu', 'State:Tamil Nadu', etc.
+// Reads 'State : Tamil Nadu' lines, or a state named in the address lines.
 function extractState(rawText) {
   if (!rawText || typeof rawText !== "string") return null;
-
-  // Look for patterns like 'State *: *value'
-  const stateMatch = rawText.match(/State\s*[:\-]?\s*([^,\n\r]+)/i);
-  if (stateMatch && stateMatch[1]) {
-    return stateMatch[1].trim();
-  }
-
-  return null;
+  return parseAddress(rawText).address.state;
 }
 
-// Read first-column values from the first sheet of an Excel file and return a Set of strings
-function readPincodesFromExcel(absPath) {
-  if (!xlsx) return new Set();
-  try {
-    if (!fs.existsSync(absPath)) return new Set();
-    const wb = xlsx.readFile(absPath);
-    const sheetName = wb.SheetNames && wb.SheetNames[0];
-    if (!sheetName) return new Set();
-    const sheet = wb.Sheets[sheetName];
-    const rows = xlsx.utils.sheet_to_json(sheet, { header: 1 });
-    const set = new Set();
-    for (const r of rows) {
-      if (!r || r.length === 0) continue;
-      const v = String(r[0]).trim();
-      if (v) set.add(v);
-    }
-    return set;
-  } catch (e) {
-    return new Set();
-  }
+// Flat address columns for the reports from a handleAddressPopup result;
+// address lines are joined with ", "
+function addressFields(handleResult) {
+  const address = (handleResult && handleResult.address) || {};
+  return {
+    name: address.name || null,
+    phone: address.phone || null,
+    address: (address.addressLines || []).join(", ") || null,
+    city: address.city || null,
+    district: address.district || null,
+    country: address.country || null,
+  };
 }
 
-// Cache for Excel lookups to avoid re-reading files repeatedly
-// Dynamic cache that can store any carrier name as key
-const _excelCache = {
-  carriers: new Map(), // Map<carrierName, Set<pincode>>
-  lastLoaded: new Map(), // Map<carrierName, timestamp>
-  // reload interval in ms (optional) - set to 60s to allow occasional refresh
-  reloadInterval: 60 * 1000,
-};
-
-// Load Excel cache for a specific carrier
-function loadExcelCacheForCarrier(carrierName) {
-  if (!carrierName) return null;
-
-  const now = Date.now();
-  const normalizedCarrier = carrierName.trim();
-
-  // Check if we have a recent cache for this carrier
-  const lastLoadTime = _excelCache.lastLoaded.get(normalizedCarrier);
-  if (
-    lastLoadTime &&
-    now - lastLoadTime < _excelCache.reloadInterval &&
-    _excelCache.carriers.has(normalizedCarrier)
-  ) {
-    return _excelCache.carriers.get(normalizedCarrier);
+// Ordered carrier chain to try for each order, e.g. CARRIER_CHAIN=DTDC,Delhivery,Shiprocket.
+// Falls back to CARRIER_OVERRIDE (a single carrier, or a comma-separated list)
+// so existing .env files keep working. Duplicates are dropped, order is kept.
+function getCarrierChain() {
+  const raw = (
+    process.env.CARRIER_CHAIN ||
+    process.env.CARRIER_OVERRIDE ||
+    ""
+  ).trim();
+  const seen = new Set();
+  const chain = [];
+  for (const part of raw.split(",")) {
+    const name = part.trim();
+    if (!name || seen.has(name.toLowerCase())) continue;
+    seen.add(name.toLowerCase());
+    chain.push(name);
   }
+  return chain;
+}
 
-  // Load fresh data for this carrier
-  const dataDir = path.join(process.cwd(), "data");
-  const carrierFileName = `${normalizedCarrier}.xlsx`;
-  const carrierFilePath = path.join(dataDir, carrierFileName);
-
-  const pincodeSet = readPincodesFromExcel(carrierFilePath);
-
-  // Cache the result
-  _excelCache.carriers.set(normalizedCarrier, pincodeSet);
-  _excelCache.lastLoaded.set(normalizedCarrier, now);
+// Carrier-specific eligibility based on the order's state, payment details
+// and pincode, as declared in carrier-rules.json.
+// Returns { eligible, rule, skipReason }.
+function checkCarrierConditions(
+  carrierName,
+  {
+    state = null,
+    paymentType = null,
+    paymentStatus = null,
+    pincode = null,
+  } = {}
+) {
+  return evaluateCarrierRules(carrierName, {
+    state,
+    paymentType,
+    paymentStatus,
+    pincode,
+  });
+}
 
-  return pincodeSet;
+// Dry-run / plan mode: DRY_RUN=1 (or true/yes) goes through the list, opens
+// the address popups and picks a carrier, but never clicks #logistic_sync,
+// the fetch button or #save_order.
+function isDryRun() {
+  return /^(1|true|yes)$/i.test((process.env.DRY_RUN || "").trim());
 }
 
-// Legacy function for backward compatibility - now loads all known carriers
-function loadExcelCaches() {
-  // Load commonly used carriers (DTDC, Delhivery) for backward compatibility
-  const commonCarriers = ["DTDC", "Delhivery"];
-  commonCarriers.forEach((carrier) => {
-    loadExcelCacheForCarrier(carrier);
-  });
+// Orders whose pincode and state line disagree are not dispatched; their
+// error entries start with this tag so the summaries can list them apart.
+const ADDRESS_INCONSISTENT = "address-inconsistent";
+
+// Pincode/state consistency check before carrier selection; on unless
+// ADDRESS_STATE_CHECK=0 (or false/no/off)
+function isAddressStateCheckEnabled() {
+  return !/^(0|false|no|off)$/i.test(
+    (process.env.ADDRESS_STATE_CHECK || "").trim()
+  );
 }
 
-// Get cached pincode data for a specific carrier
-function getCarrierPincodes(carrierName) {
-  if (!carrierName) return null;
-  const normalizedCarrier = carrierName.trim();
+const isAddressInconsistent = (e) =>
+  String(e.error || "").startsWith(ADDRESS_INCONSISTENT);
 
-  // Try to get from cache first
-  if (_excelCache.carriers.has(normalizedCarrier)) {
-    const lastLoadTime = _excelCache.lastLoaded.get(normalizedCarrier);
-    const now = Date.now();
+// Orders whose address scores below ADDRESS_MIN_SCORE are held for review
+// with the problems found, tagged like the address-inconsistent ones.
+const NEEDS_REVIEW = "needs-review";
+const isNeedsReview = (e) => String(e.error || "").startsWith(NEEDS_REVIEW);
 
-    // If cache is still valid, return it
-    if (lastLoadTime && now - lastLoadTime < _excelCache.reloadInterval) {
-      return _excelCache.carriers.get(normalizedCarrier);
-    }
-  }
+// ", Forensics: <folder>" for summary lines of orders with saved forensics
+const forensicsSuffix = (e) =>
+  e.forensics ? `, Forensics: ${e.forensics}` : "";
 
-  // Cache miss or expired, load fresh data
-  return loadExcelCacheForCarrier(normalizedCarrier);
-}
+// Sync tabs that land on /login return this reason; the order list logs in
+// again (through the `relogin` option) and retries the order.
+const SESSION_EXPIRED = "session-expired";
+// give up after this many re-logins in one run (e.g. a changed password)
+const MAX_RELOGINS = 3;
+// passes over a paged order list before giving up on orders that keep
+// moving between pages
+const MAX_PAGE_PASSES = 3;
 
-// runtime base URL (strip trailing slash)
-const BASE_URL = (process.env.BASE_URL || "https://diyaa.in").replace(
-  /\/$/,
-  ""
-);
+// runtime base URL (from .env or the active store profile)
+const BASE_URL = getBaseUrl();
 
 class OrderListPage {
   /**
    * @param {import('@playwright/test').Page} page
+   * @param {{relogin?: () => Promise<void>}} [options]
+   *   `relogin` logs in again on `page` when the admin session expires
    */
-  constructor(page) {
+  constructor(page, { relogin = null } = {}) {
     this.page = page;
+    this.relogin = relogin;
+    // validate carrier-rules.json up front so a broken rules file fails the
+    // run before any order is touched
+    loadCarrierRules();
+    // same for dialog-policy.json
+    loadDialogPolicy();
     // table and button selectors
     this.tableSelector = "table#example";
+    // DataTables controls around the table: page length and paging buttons
+    this.pageLengthSelector = 'select[name="example_length"]';
+    this.nextPageSelector =
+      "#example_next, #example_wrapper .paginate_button.next, #example_wrapper .dt-paging-button.next";
+    this.previousPageSelector =
+      "#example_previous, #example_wrapper .paginate_button.previous, #example_wrapper .dt-paging-button.previous";
+    this.firstPageSelector =
+      "#example_first, #example_wrapper .paginate_button.first, #example_wrapper .dt-paging-button.first";
     // the per-row button as provided in the user request for first row
     // generalize to any row by using tbody tr td button with the same classes
     this.rowButtonSelector = "td.sorting_1 > button.address-show-btn";
@@ -177,6 +215,22 @@ class OrderListPage {
       'button:has-text("OK")',
       'button:has-text("Close")',
     ];
+    // order records by order ID from the response that feeds the table
+    // (see watchTableResponses / loadTableRecords) and where they came from
+    this.tableRecords = new Map();
+    this.tableSource = null;
+    // records of the response that drew the table, in row order, and the
+    // record matched to each row handle of the current page (see
+    // matchRowRecords)
+    this.tableDraw = [];
+    this.rowRecords = new Map();
+    this.tableResponses = [];
+    this.pendingCaptures = [];
+    // folder for this run's failure forensics (see utils/forensics), set by
+    // clickEachRowAddressPopup; null when they are off
+    this.forensicsRunDir = null;
+    // whether each order's sync is recorded as a trace chunk
+    this.traceChunks = false;
   }
 
   // Lightweight local handler for the address popup. Mirrors the behavior of
@@ -198,56 +252,22 @@ class OrderListPage {
     const rawText = (await el.innerText()).trim();
     const hasAddressChar = /[A-Za-z0-9]/.test(rawText);
 
-    // If the raw text is too short, close the popup and skip processing for this row
-    const textLength = rawText.length;
-    if (textLength < 150) {
-      // log which row was skipped and the length
-      // eslint-disable-next-line no-console
-      console.log(
-        `Skipping row ${rowIndex != null ? rowIndex : "?"} (orderId=${
-          orderId || "N/A"
-        }) - address text too short (${textLength} chars)`
-      );
-
-      // attempt to close modal using preferred close button or Escape
-      const preferredClose =
-        "#addressShowModal > div > div > div.modal-footer > button";
-      try {
-        const closeBtn = await this.page.$(preferredClose);
-        if (closeBtn) {
-          await closeBtn.click();
-          await this.page.waitForTimeout(150);
-        } else {
-          await this.page.keyboard.press("Escape");
-          await this.page.waitForTimeout(100);
-        }
-      } catch (e) {
-        try {
-          await this.page.keyboard.press("Escape");
-          await this.page.waitForTimeout(100);
-        } catch (ee) {
-          // ignored
-        }
-      }
-
-      return {
-        foundAddress: false,
-        pincode: null,
-        rawText,
-        textLength,
-        orderId,
-      };
-    }
-
-    // try to extract pincode(s) and state from the raw text and log them
+    // parse the address (shipping block preferred over billing) and log it
+    const { shipping, billing, address } = parseAddress(rawText);
     const pincodes = extractPincode(rawText);
-    const pincode = pincodes.length ? pincodes[0] : null;
-    const state = extractState(rawText);
+    const pincode = address.pincode;
+    const state = address.state;
+    // scored here, held for review by the caller (ADDRESS_MIN_SCORE)
+    const quality = scoreAddress(address);
 
     // eslint-disable-next-line no-console
     console.log(
-      `Extracted pincode: ${pincode}, state: ${state} (orderId=${
-        orderId || "N/A"
+      `Extracted pincode: ${pincode}, state: ${state}, city: ${
+        address.city || address.district || "N/A"
+      }, name: ${address.name || "N/A"}, address score: ${quality.score} (row ${
+        rowIndex != null ? rowIndex : "?"
+      }, orderId=${orderId || "N/A"}${
+        shipping && billing ? ", shipping address used" : ""
       })`
     );
 
@@ -280,15 +300,124 @@ class OrderListPage {
       pincode,
       pincodes,
       state,
+      address,
+      shippingAddress: shipping,
+      billingAddress: billing,
+      quality,
       rawText,
       orderId,
     };
   }
 
   // Open a new tab for the order sync page, click Sync with Shiprocket,
-  // interact with the modal (select courier DTDC, choose radio, wait), then close.
+  // interact with the modal (select the first usable carrier from the carrier
+  // chain, choose radio, wait), then close.
   // This method is defensive and will return quickly if elements are not found.
-  async syncShiprocketForOrder(
+  // Each step is retried on transient failures (see utils/retryPolicy); the
+  // result carries the retries per step and, when the order failed, whether
+  // the failure was transient or permanent. A failed order's tab is saved to
+  // its forensics folder before it closes (`result.forensics`). Native
+  // dialogs are handled by the dialog policy and listed in `result.dialogs`;
+  // `result.abortRun` is set when one of them asks to stop the run.
+  async syncShiprocketForOrder(orderId, options = {}) {
+    if (!orderId) {
+      return { synced: false, reason: "no-order-id", failure: "permanent" };
+    }
+
+    // open new tab
+    const context = this.page.context();
+    const newPage = await context.newPage();
+    const dialogs = this.watchDialogs(newPage, orderId);
+    let tracing = false;
+    if (this.traceChunks) {
+      try {
+        await context.tracing.startChunk({ title: `order ${orderId}` });
+        tracing = true;
+      } catch (e) {
+        console.warn(`Order ${orderId}: trace not started - ${e.message}`);
+      }
+    }
+    try {
+      let result = await this.syncOrderInTab(
+        newPage,
+        orderId,
+        options,
+        dialogs
+      );
+      if (dialogs.stop && result && result.synced) {
+        // the order was saved (and verified) before the dialog: keep it
+        // synced, the dialog is still listed and may still stop the run
+        console.log(
+          `Order ${orderId}: synced before the ${dialogs.stop.action} dialog "${dialogs.stop.message}"`
+        );
+      } else if (
+        dialogs.stop &&
+        result &&
+        !result.dryRun &&
+        result.reason !== "dialog-appeared" &&
+        result.reason !== SESSION_EXPIRED
+      ) {
+        // a skip/abort dialog after the flow's last check (e.g. while
+        // verifying the save)
+        result = {
+          ...result,
+          synced: false,
+          reason: "dialog-appeared",
+          skipped: true,
+          failure: "permanent",
+          dialog: dialogs.stop.message,
+        };
+      }
+      if (result) {
+        result.dialogs = dialogs.log;
+        if (dialogs.stop && dialogs.stop.action === "abort") {
+          result.abortRun = dialogs.stop;
+        }
+      }
+      const failed =
+        result &&
+        !result.synced &&
+        !result.dryRun &&
+        result.reason !== SESSION_EXPIRED;
+      if (failed && this.forensicsRunDir) {
+        try {
+          const dir = orderForensicsDir(this.forensicsRunDir, orderId);
+          await saveScreenshot(newPage, path.join(dir, "order-page.png"));
+          writeText(
+            path.join(dir, "logisticsModal.html"),
+            await readOuterHtml(newPage, "#logisticsModal")
+          );
+          if (tracing) {
+            tracing = false;
+            await context.tracing
+              .stopChunk({ path: path.join(dir, "trace.zip") })
+              .catch(() => {});
+          }
+          result.tabUrl = newPage.isClosed() ? null : newPage.url();
+          result.forensics = dir;
+        } catch (e) {
+          console.warn(`Order ${orderId}: order tab not saved - ${e.message}`);
+        }
+      }
+      return result;
+    } finally {
+      if (tracing) {
+        // nothing to keep for an order that went through
+        await context.tracing.stopChunk().catch(() => {});
+      }
+      // ensure tab is closed
+      try {
+        await newPage.close();
+      } catch (e) {
+        // ignore
+      }
+    }
+  }
+
+  // The sync flow of syncShiprocketForOrder in the already opened tab;
+  // `dialogs` is the tab's dialog watcher (see watchDialogs)
+  async syncOrderInTab(
+    newPage,
     orderId,
     {
       waitMs = 2500,
@@ -296,62 +425,79 @@ class OrderListPage {
       state = null,
       paymentType = null,
       paymentStatus = null,
-    } = {}
+    } = {},
+    dialogs = { step: null, log: [], stop: null }
   ) {
-    if (!orderId) return { synced: false, reason: "no-order-id" };
-
     const targetUrl = `${BASE_URL}/inventory/order/${orderId}`;
-    // open new tab
-    const context = this.page.context();
-    const newPage = await context.newPage();
+    // retries per step for this order
+    const retries = {};
+    const step = (name, fn) => {
+      // dialogs are matched against the policy of the step they appear in
+      dialogs.step = name;
+      return withRetry(name, fn, { orderId, retries });
+    };
+    // result for an order a dialog stopped (policy action skip or abort)
+    const dialogStop = () => {
+      if (!dialogs.stop) return null;
+      console.log(
+        `Skipping order ${orderId} due to dialog appearance. Closing tab and continuing to next row.`
+      );
+      return {
+        synced: false,
+        reason: "dialog-appeared",
+        skipped: true,
+        failure: "permanent",
+        dialog: dialogs.stop.message,
+        retries,
+      };
+    };
     try {
-      await newPage.goto(targetUrl, {
-        waitUntil: "domcontentloaded",
-        timeout: 15000,
+      await step("goto", async () => {
+        const response = await newPage.goto(targetUrl, {
+          waitUntil: "domcontentloaded",
+          timeout: 15000,
+        });
+        const status = response ? response.status() : 200;
+        if (status >= 500) {
+          const error = new Error(`order page returned HTTP ${status}`);
+          error.failure = "transient";
+          throw error;
+        }
+        if (status >= 400) {
+          throw new PermanentError(`order page returned HTTP ${status}`);
+        }
       });
+      if (isLoginUrl(newPage.url())) {
+        console.log(`Order ${orderId}: sync tab was sent to the login page`);
+        return { synced: false, reason: SESSION_EXPIRED, retries };
+      }
+      // status before the sync, so the read-back can tell it changed
+      const before = await newPage.evaluate(readOrderDetails).catch(() => ({}));
 
       // wait for the sync button and click it
       try {
-        await newPage.waitForSelector("#sync_shiprocket", {
-          state: "visible",
-          timeout: 4000,
+        await step("syncButton", async () => {
+          await newPage.waitForSelector("#sync_shiprocket", {
+            state: "visible",
+            timeout: 4000,
+          });
+          await newPage.click("#sync_shiprocket");
         });
 
-        // Set up dialog handler before clicking the sync button
-        let dialogAppeared = false;
-        const dialogHandler = async (dialog) => {
-          dialogAppeared = true;
-          console.log(
-            `Dialog appeared for order ${orderId}: "${dialog.message()}"`
-          );
-          try {
-            await dialog.dismiss(); // Dismiss the dialog
-          } catch (e) {
-            // ignore dialog dismiss failures
-          }
-        };
-
-        // Listen for any dialog that might appear
-        newPage.once("dialog", dialogHandler);
-
-        await newPage.click("#sync_shiprocket");
-
         // Wait a moment to see if dialog appears
         await newPage.waitForTimeout(1000);
 
-        // If dialog appeared, skip this row
-        if (dialogAppeared) {
-          console.log(
-            `Skipping order ${orderId} due to dialog appearance. Closing tab and continuing to next row.`
-          );
-          return { synced: false, reason: "dialog-appeared", skipped: true };
-        }
-
-        // Remove the dialog listener if no dialog appeared
-        newPage.removeListener("dialog", dialogHandler);
+        // If the dialog policy says so, skip this row
+        const stopped = dialogStop();
+        if (stopped) return stopped;
       } catch (e) {
         // couldn't find or click sync button
-        return { synced: false, reason: "no-sync-button" };
+        return {
+          synced: false,
+          reason: "no-sync-button",
+          failure: e.failure,
+          retries,
+        };
       }
 
       // Wait for the logistics modal to appear (the selector for the dropdown wrapper)
@@ -360,209 +506,169 @@ class OrderListPage {
       // track which carrier we selected for reporting (declare here so it's
       // visible later outside the dropdown-selection try/catch)
       let selectedCarrier = null;
+      // reasons collected while walking the carrier chain, reported if no
+      // carrier could be used for this order
+      const skipReasons = [];
+      // set when the dropdown never appeared, as opposed to no carrier
+      // in it being usable (a permanent failure)
+      let dropdownError = null;
+      const carrierChain = getCarrierChain();
       try {
-        await newPage.waitForSelector(dropdownWrapper, {
-          state: "visible",
-          timeout: 5000,
+        // a retry only waits for the modal again: pressing Sync with
+        // Shiprocket a second time could start a second sync
+        await step("dropdown", async () => {
+          await newPage.waitForSelector(dropdownWrapper, {
+            state: "visible",
+            timeout: 5000,
+          });
+          // click to expand
+          await newPage.click(dropdownWrapper);
         });
-        // click to expand
-        await newPage.click(dropdownWrapper);
 
-        // select carrier based on CARRIER_OVERRIDE from .env
-        let selected = false;
-        try {
-          // Helper to try selecting an option by visible text (case-insensitive)
-          // with pincode validation against Excel files
-          const trySelectByText = async (text, pincode = null) => {
-            // Step 1: Check if there is an Excel file with carrier name in data folder
-            if (pincode && text) {
-              try {
-                const dataDir = path.join(process.cwd(), "data");
-                const carrierFileName = `${text.trim()}.xlsx`;
-                const carrierFilePath = path.join(dataDir, carrierFileName);
-
-                // Step 2: Check if Excel file exists
-                if (fs.existsSync(carrierFilePath)) {
-                  console.log(
-                    `Found Excel file for carrier: ${text} at ${carrierFilePath}`
-                  );
-
-                  // Step 3: Load Excel cache for this specific carrier
-                  const carrierPincodes = loadExcelCacheForCarrier(text.trim());
-
-                  // Step 4: Check if pincode is present in the Excel file
-                  if (
-                    carrierPincodes &&
-                    carrierPincodes.has(String(pincode).trim())
-                  ) {
-                    console.log(
-                      `Pincode ${pincode} found in ${text} Excel file. Proceeding with carrier selection.`
-                    );
-                    // Proceed with carrier selection as pincode is valid
-                  } else {
-                    // Step 5: Pincode not found, don't select carrier and close popup
-                    console.log(
-                      `Pincode ${pincode} NOT found in ${text} Excel file. Skipping carrier selection.`
-                    );
-                    return false; // Don't proceed with selection
-                  }
-                } else {
-                  console.log(
-                    `No Excel file found for carrier: ${text}. Proceeding with default behavior.`
-                  );
-                  // Step 2: File doesn't exist, proceed as current code (no validation)
-                }
-              } catch (e) {
-                console.warn(
-                  `Error checking Excel file for carrier ${text}:`,
-                  e.message
-                );
-                // On error, proceed with default behavior
-              }
-            }
-
-            const selCandidates = [
-              `#select2-logistics-results li.select2-results__option`,
-              `ul.select2-results__options li.select2-results__option`,
-              `#logisticsModal .select2-results__option`,
-              `#logisticsModal .dropdown-menu li`,
-              `#logisticsModal li`,
-            ];
-            for (const sel of selCandidates) {
-              try {
-                const locator = newPage
-                  .locator(sel)
-                  .filter({ hasText: new RegExp(text, "i") });
-                const count = await locator.count();
-                if (count > 0) {
-                  await locator
-                    .first()
-                    .click({ timeout: 2000, force: true })
-                    .catch(() => {});
-                  await newPage.waitForTimeout(250);
-                  return true;
-                }
-              } catch (e) {
-                // ignore
-              }
-            }
-            // fallback: try find in DOM under #logisticsModal (case-insensitive)
+        // Helper to try selecting an option by visible text (case-insensitive)
+        const trySelectByText = async (text) => {
+          const selCandidates = [
+            `#select2-logistics-results li.select2-results__option`,
+            `ul.select2-results__options li.select2-results__option`,
+            `#logisticsModal .select2-results__option`,
+            `#logisticsModal .dropdown-menu li`,
+            `#logisticsModal li`,
+          ];
+          for (const sel of selCandidates) {
             try {
-              const found = await newPage.evaluate((txt) => {
-                const modal = document.querySelector("#logisticsModal");
-                if (!modal) return false;
-                const items = Array.from(
-                  modal.querySelectorAll("li, option, div")
-                );
-                const match = items.find(
-                  (i) =>
-                    i.innerText &&
-                    i.innerText.trim().toLowerCase() === txt.toLowerCase()
-                );
-                if (match) {
-                  try {
-                    match.click();
-                  } catch (e) {
-                    /* ignore */
-                  }
-                  return true;
-                }
-                return false;
-              }, text);
-              if (found) return true;
+              const locator = newPage
+                .locator(sel)
+                .filter({ hasText: new RegExp(text, "i") });
+              const count = await locator.count();
+              if (count > 0) {
+                await locator
+                  .first()
+                  .click({ timeout: 2000, force: true })
+                  .catch(() => {});
+                await newPage.waitForTimeout(250);
+                return true;
+              }
             } catch (e) {
               // ignore
             }
-            return false;
-          };
-
-          // Always use CARRIER_OVERRIDE from .env if provided
-          const carrierOverride = (process.env.CARRIER_OVERRIDE || "").trim();
-
-          if (carrierOverride) {
-            // Validate carrier-specific conditions before selection
-            let shouldSelectCarrier = true;
-            let skipReason = "";
-
-            const carrierLower = carrierOverride.toLowerCase();
-            const stateLower = (state || "").toLowerCase();
-            const paymentTypeLower = (paymentType || "").toLowerCase();
-            const paymentStatusLower = (paymentStatus || "").toLowerCase();
-
-            // Condition 1: STCourier validation
-            if (carrierLower === "stcourier") {
-              if (
-                stateLower !== "tamil nadu" ||
-                !paymentTypeLower.includes("prepaid") ||
-                paymentStatusLower !== "success"
-              ) {
-                shouldSelectCarrier = false;
-                skipReason = `STCourier conditions not met: state='${state}' (should be 'Tamil Nadu'), paymentType='${paymentType}' (should contain 'prepaid'), paymentStatus='${paymentStatus}' (should be 'success')`;
-              }
-            }
-
-            // Condition 2: Shiprocket validation
-            if (carrierLower === "shiprocket") {
-              // Shiprocket is eligible if:
-              // (Any State AND COD AND Success) OR (Prepaid AND NOT Tamil Nadu AND Success)
-              const isCODWithSuccess =
-                paymentTypeLower.includes("cod") &&
-                paymentStatusLower === "success";
-              const isPrepaidNotTamilNaduWithSuccess =
-                paymentTypeLower.includes("prepaid") &&
-                stateLower !== "tamil nadu" &&
-                paymentStatusLower === "success";
-
-              const isEligible =
-                isCODWithSuccess || isPrepaidNotTamilNaduWithSuccess;
-
-              if (!isEligible) {
-                shouldSelectCarrier = false;
-                skipReason = `Shiprocket conditions not met: Either (COD + Success) or (Prepaid + NOT Tamil Nadu + Success) required. Current: state='${state}', paymentType='${paymentType}', paymentStatus='${paymentStatus}'`;
-              }
-            }
-
-            if (!shouldSelectCarrier) {
-              console.log(
-                `Skipping carrier selection for order ${orderId}: ${skipReason}`
+          }
+          // fallback: try find in DOM under #logisticsModal (case-insensitive)
+          try {
+            const found = await newPage.evaluate((txt) => {
+              const modal = document.querySelector("#logisticsModal");
+              if (!modal) return false;
+              const items = Array.from(
+                modal.querySelectorAll("li, option, div")
               );
-              // Close the sync popup and return early
-              await this.CloseSyncPopup(newPage);
-              return {
-                synced: false,
-                reason: "carrier-conditions-not-met",
-                skipReason,
-              };
-            }
-
-            // Use the exact CARRIER_OVERRIDE value from .env to select from dropdown
-            // Pass the pincode from the function parameters for validation
-            selected = await trySelectByText(carrierOverride, pincode);
-            if (selected) {
-              selectedCarrier = carrierOverride;
-            } else {
-              // carrier not found in dropdown or pincode validation failed - log warning
-              console.warn(
-                `Carrier '${carrierOverride}' not selected. Either not found in dropdown or pincode validation failed.`
+              const match = items.find(
+                (i) =>
+                  i.innerText &&
+                  i.innerText.trim().toLowerCase() === txt.toLowerCase()
               );
-            }
+              if (match) {
+                try {
+                  match.click();
+                } catch (e) {
+                  /* ignore */
+                }
+                return true;
+              }
+              return false;
+            }, text);
+            if (found) return true;
+          } catch (e) {
+            // ignore
           }
+          return false;
+        };
 
-          // If CARRIER_OVERRIDE is not set or selection failed, log warning
-          if (!selected && !carrierOverride) {
-            console.warn(
-              "No CARRIER_OVERRIDE set in .env file. Please set CARRIER_OVERRIDE to 'DTDC' or 'Delhivery'."
+        // Walk the carrier chain and use the first carrier that passes the
+        // eligibility rules and the Excel pincode check and is present in
+        // the dropdown.
+        for (const carrier of carrierChain) {
+          const conditions = checkCarrierConditions(carrier, {
+            state,
+            paymentType,
+            paymentStatus,
+            pincode,
+          });
+          if (!conditions.eligible) {
+            console.log(
+              `Order ${orderId}: skipping carrier ${carrier} - ${conditions.skipReason}`
             );
-          } else if (!selected && carrierOverride) {
-            console.warn(
-              `Failed to select carrier '${carrierOverride}'. Please check if the carrier is available in the dropdown.`
+            skipReasons.push(conditions.skipReason);
+            continue;
+          }
+
+          // pincode list check, respecting COD vs prepaid per pincode
+          const serviceability = checkPincodeServiceability(
+            carrier,
+            pincode,
+            paymentType
+          );
+          if (!serviceability.serviceable) {
+            console.log(
+              `Order ${orderId}: skipping carrier ${carrier} - ${serviceability.reason}`
             );
+            skipReasons.push(`${carrier}: ${serviceability.reason}`);
+            continue;
           }
-        } catch (e) {
-          // ignore selection failures
+
+          try {
+            if (await trySelectByText(carrier)) {
+              selectedCarrier = carrier;
+              console.log(`Order ${orderId}: selected carrier ${carrier}`);
+              break;
+            }
+          } catch (e) {
+            // ignore selection failures and try the next carrier
+          }
+          console.warn(
+            `Carrier '${carrier}' not found in dropdown for order ${orderId}. Trying next carrier.`
+          );
+          skipReasons.push(`${carrier}: not found in dropdown`);
         }
       } catch (e) {
-        // dropdown didn't appear or selection failed - continue to try next steps
+        // dropdown didn't appear
+        dropdownError = e;
+        skipReasons.push("logistics dropdown did not appear");
+      }
+
+      if (!selectedCarrier) {
+        if (carrierChain.length === 0) {
+          console.warn(
+            "No CARRIER_CHAIN or CARRIER_OVERRIDE set in .env file. Please set CARRIER_CHAIN, e.g. 'DTDC,Delhivery,Shiprocket'."
+          );
+          skipReasons.push("no carrier configured");
+        }
+        const skipReason = skipReasons.join("; ");
+        console.log(
+          `Skipping carrier selection for order ${orderId}: ${skipReason}`
+        );
+        // Close the sync popup and return early
+        await this.CloseSyncPopup(newPage);
+        return {
+          synced: false,
+          reason: "carrier-conditions-not-met",
+          skipReason,
+          failure: dropdownError ? dropdownError.failure : "permanent",
+          retries,
+        };
+      }
+
+      // In dry-run mode stop here: the carrier is chosen and checked, nothing
+      // that changes the order has been clicked yet.
+      if (isDryRun()) {
+        console.log(
+          `[dry-run] Order ${orderId}: would dispatch with ${selectedCarrier}`
+        );
+        await this.CloseSyncPopup(newPage);
+        return {
+          synced: false,
+          dryRun: true,
+          carrier: selectedCarrier,
+          retries,
+        };
       }
 
       // select radio #chk_lst_yes if present - use evaluate fallback to avoid hang
@@ -601,32 +707,42 @@ class OrderListPage {
         if (orderId !== "" || orderNumeric !== 0) {
           // 1) click on submit button with selector #logistic_sync
           try {
-            // First wait for the button to be visible
-            await newPage.waitForSelector("#logistic_sync", {
-              state: "visible",
-              timeout: 3000,
-            });
-
-            // Then wait for the button to become enabled (not disabled)
-            await newPage.waitForFunction(
-              () => {
-                const btn = document.querySelector("#logistic_sync");
-                return btn && !btn.disabled && !btn.hasAttribute("disabled");
-              },
-              { timeout: 5000 }
-            );
+            // a confirm/alert on submit is handled by the dialog policy
+            await step("logisticSync", async () => {
+              // First wait for the button to be visible
+              await newPage.waitForSelector("#logistic_sync", {
+                state: "visible",
+                timeout: 3000,
+              });
 
-            // accept any native confirm/alert dialog that may appear when submitting
-            newPage.once("dialog", async (dialog) => {
-              try {
-                await dialog.accept();
-              } catch (ee) {
-                // ignore dialog accept failures
-              }
+              // Then wait for the button to become enabled (not disabled)
+              await newPage.waitForFunction(
+                () => {
+                  const btn = document.querySelector("#logistic_sync");
+                  return btn && !btn.disabled && !btn.hasAttribute("disabled");
+                },
+                { timeout: 5000 }
+              );
             });
+            const stoppedBeforeSync = dialogStop();
+            if (stoppedBeforeSync) return stoppedBeforeSync;
+            // clicked once, outside the retried step: a second click could
+            // create a second shipment
             await newPage.click("#logistic_sync");
           } catch (e) {
-            // if logistic_sync not found or doesn't become enabled, continue - non-fatal
+            // nothing was synced: fail the order rather than report it
+            console.warn(
+              `Order ${orderId}: #logistic_sync not clicked (${
+                e.failure || classifyError(e)
+              }): ${String(e.message).split("\n")[0]}`
+            );
+            return {
+              synced: false,
+              reason: e.step || "logisticSync",
+              failure: e.failure || classifyError(e),
+              carrier: selectedCarrier,
+              retries,
+            };
           }
 
           // 2) wait for the process to complete — detect modal close or wait a bit
@@ -640,54 +756,67 @@ class OrderListPage {
             // fallback: short fixed wait to allow process to complete
             await newPage.waitForTimeout(2500);
           }
+          const stoppedOnSync = dialogStop();
+          if (stoppedOnSync) return stoppedOnSync;
 
           // close popup by clicking #SyncClose if present
           await this.CloseSyncPopup(newPage);
 
-          // Check if CARRIER_OVERRIDE is not "shiprocket" before executing fetch, GST, and save operations
-          const carrierOverride = (process.env.CARRIER_OVERRIDE || "").trim();
-          if (carrierOverride.toLowerCase() !== "shiprocket") {
+          // Check if the selected carrier is not "shiprocket" before executing fetch, GST, and save operations
+          if (selectedCarrier.toLowerCase() !== "shiprocket") {
             // 3) once the popup is closed, click on fetch button on the main page
             try {
               const fetchSel =
                 "body > div.wrapper > div.content-wrapper > section > div.row > div > div.row.col-mb-4 > div:nth-child(3) > div:nth-child(1) > button";
-              await newPage.waitForSelector(fetchSel, {
-                state: "visible",
-                timeout: 5000,
-              });
-              // some actions trigger a native confirmation dialog; accept it if shown
-              newPage.once("dialog", async (dialog) => {
-                try {
-                  await dialog.accept();
-                } catch (ee) {
-                  // ignore
-                }
+              // some actions trigger a native confirmation dialog, handled
+              // by the dialog policy
+              await step("fetch", async () => {
+                await newPage.waitForSelector(fetchSel, {
+                  state: "visible",
+                  timeout: 5000,
+                });
               });
+              const stoppedBeforeFetch = dialogStop();
+              if (stoppedBeforeFetch) return stoppedBeforeFetch;
               await newPage.click(fetchSel);
               // wait for fetch to run
               await newPage.waitForTimeout(3000);
             } catch (e) {
               // fallback small wait if selector not found
+              console.warn(
+                `Order ${orderId}: fetch not clicked (${
+                  e.failure || classifyError(e)
+                }): ${String(e.message).split("\n")[0]}`
+              );
               await newPage.waitForTimeout(1500);
             }
 
             // 4) generate GST invoice if required, then click on save with selector #save_order
             try {
-              await newPage.waitForSelector("#save_order", {
-                state: "visible",
-                timeout: 5000,
-              });
-              // accept confirm/alert if the save triggers one
-              newPage.once("dialog", async (dialog) => {
-                try {
-                  await dialog.accept();
-                } catch (ee) {
-                  // ignore
-                }
+              // a confirm/alert on save is handled by the dialog policy
+              await step("save", async () => {
+                await newPage.waitForSelector("#save_order", {
+                  state: "visible",
+                  timeout: 5000,
+                });
               });
+              const stoppedBeforeSave = dialogStop();
+              if (stoppedBeforeSave) return stoppedBeforeSave;
               await newPage.click("#save_order");
             } catch (e) {
-              // if save button not found, ignore
+              // the order was never saved: fail it
+              console.warn(
+                `Order ${orderId}: #save_order not clicked (${
+                  e.failure || classifyError(e)
+                }): ${String(e.message).split("\n")[0]}`
+              );
+              return {
+                synced: false,
+                reason: e.step || "save",
+                failure: e.failure || classifyError(e),
+                carrier: selectedCarrier,
+                retries,
+              };
             }
 
             // 5) wait for save to complete — look for save button to become disabled or just wait
@@ -697,6 +826,8 @@ class OrderListPage {
             } catch (e) {
               // noop
             }
+            const stoppedOnSave = dialogStop();
+            if (stoppedOnSave) return stoppedOnSave;
           } else {
             console.log(
               "Skipping fetch, GST generation, and save operations for Shiprocket carrier"
@@ -712,16 +843,163 @@ class OrderListPage {
       // close popup by clicking #SyncClose if present
       await this.CloseSyncPopup(newPage);
 
-      return { synced: true, carrier: selectedCarrier };
+      if (!isVerifySaveEnabled()) {
+        return { synced: true, carrier: selectedCarrier, retries };
+      }
+      // only an order the page shows with our carrier, an AWB and a new
+      // status counts as synced. Shiprocket orders are not saved here (no
+      // fetch or save): #logistic_sync assigns their shipment, so only the
+      // carrier and AWB are checked.
+      dialogs.step = "verify";
+      try {
+        const saved = await this.verifySavedOrder(newPage, orderId, {
+          carrier: selectedCarrier,
+          statusBefore: before.status,
+          checkStatus: selectedCarrier.toLowerCase() !== "shiprocket",
+          retries,
+        });
+        console.log(
+          `Order ${orderId}: verified carrier ${saved.carrier}, AWB ${saved.awb}, status ${saved.status}`
+        );
+        return {
+          synced: true,
+          carrier: selectedCarrier,
+          awb: saved.awb,
+          orderStatus: saved.status,
+          retries,
+        };
+      } catch (e) {
+        const shown = e.details || {};
+        console.warn(`Order ${orderId}: save not verified - ${e.message}`);
+        return {
+          synced: false,
+          reason: "not-verified",
+          skipReason: e.message,
+          carrier: selectedCarrier,
+          awb: shown.awb || null,
+          orderStatus: shown.status || null,
+          failure: e.failure,
+          retries,
+        };
+      }
     } catch (e) {
-      return { synced: false, reason: e.message, carrier: null };
-    } finally {
-      // ensure tab is closed
+      return {
+        synced: false,
+        reason: e.step ? `${e.step}: ${e.message}` : e.message,
+        carrier: null,
+        failure: e.failure || classifyError(e),
+        retries,
+      };
+    }
+  }
+
+  // Reload the order page in `tab` and check the carrier, AWB and status it
+  // shows (see utils/orderVerification); reloads again under the "verify"
+  // retry policy while values are missing. Returns the details read, or
+  // throws with `failure` set and `details` holding the last read.
+  async verifySavedOrder(
+    tab,
+    orderId,
+    { carrier, statusBefore, checkStatus = true, retries }
+  ) {
+    const targetUrl = `${BASE_URL}/inventory/order/${orderId}`;
+    return withRetry(
+      "verify",
+      async () => {
+        await tab.goto(targetUrl, {
+          waitUntil: "domcontentloaded",
+          timeout: 15000,
+        });
+        if (isLoginUrl(tab.url())) {
+          throw new PermanentError(
+            "sent to the login page, the save could not be checked"
+          );
+        }
+        const details = await tab.evaluate(readOrderDetails);
+        const check = checkSavedOrder(details, {
+          carrier,
+          statusBefore,
+          checkStatus,
+        });
+        if (check.ok) return details;
+        const error = new Error(check.problems.join("; "));
+        error.failure = check.failure;
+        error.details = details;
+        throw error;
+      },
+      { orderId, retries }
+    );
+  }
+
+  // Handle native dialogs in an order tab by the dialog policy (see
+  // utils/dialogPolicy). Returns the watcher { step, log, stop }: `step` is
+  // set to the sync step running, `log` lists every dialog with the action
+  // taken, `stop` is the first one whose action skips the order or aborts
+  // the run.
+  watchDialogs(tab, orderId) {
+    const watcher = { step: "goto", log: [], stop: null };
+    tab.on("dialog", async (dialog) => {
+      const message = dialog.message();
+      const { step } = watcher;
+      const { action, rule } = dialogAction(message, step);
+      const entry = { step, type: dialog.type(), message, action, rule };
+      watcher.log.push(entry);
+      console.log(
+        `Order ${orderId}: ${
+          entry.type
+        } dialog during ${step}: "${message}" - ${action}${
+          rule ? ` (rule ${rule})` : ""
+        }`
+      );
+      // an abort outranks an earlier skip
+      if (
+        (action === "skip" && !watcher.stop) ||
+        (action === "abort" &&
+          (!watcher.stop || watcher.stop.action !== "abort"))
+      ) {
+        watcher.stop = entry;
+      }
       try {
-        await newPage.close();
+        if (action === "accept") await dialog.accept();
+        else await dialog.dismiss();
       } catch (e) {
-        // ignore
+        // ignore dialogs already closed
+      }
+    });
+    return watcher;
+  }
+
+  // Save the order list side of a failed or skipped order to its forensics
+  // folder and link the folder from its error entries. The order tab was
+  // saved by syncShiprocketForOrder, if the order got that far.
+  async saveRowForensics(
+    orderId,
+    { rowNumber, rowErrors, result, error, addressHtml }
+  ) {
+    try {
+      const dir = orderForensicsDir(this.forensicsRunDir, orderId);
+      await saveScreenshot(this.page, path.join(dir, "order-list.png"));
+      writeText(path.join(dir, "addressShowBody.html"), addressHtml);
+      const lines = [
+        `Order: ${orderId || "N/A"}`,
+        `Row: ${rowNumber}`,
+        `Recorded: ${new Date().toISOString()}`,
+        `Order list URL: ${this.page.url()}`,
+      ];
+      if (result && result.tabUrl)
+        lines.push(`Order tab URL: ${result.tabUrl}`);
+      for (const entry of rowErrors) lines.push(`Error: ${entry.error}`);
+      if (result) {
+        const { forensics, ...shown } = result;
+        lines.push(`Sync result: ${JSON.stringify(shown)}`);
       }
+      if (error) lines.push("", error.stack || error.message);
+      writeText(path.join(dir, "error.txt"), lines.join("\n") + "\n");
+      for (const entry of rowErrors) entry.forensics = displayPath(dir);
+    } catch (e) {
+      console.warn(
+        `Order ${orderId || "N/A"}: forensics not saved - ${e.message}`
+      );
     }
   }
 
@@ -743,6 +1021,44 @@ class OrderListPage {
     }
   }
 
+  // Print the dry-run plan and write it to logs/plan-<ts>.txt for review
+  writePlan(plan) {
+    const lines = [];
+    const planned = plan.filter((p) => p.carrier);
+    lines.push("DRY RUN PLAN");
+    lines.push("================================");
+    if (getProfileName()) lines.push(`Profile: ${getProfileName()}`);
+    lines.push(`Orders attempted: ${plan.length}`);
+    lines.push(`Would dispatch: ${planned.length}`);
+    lines.push(`Would skip: ${plan.length - planned.length}`);
+    lines.push("");
+    for (let i = 0; i < plan.length; i++) {
+      const item = plan[i];
+      lines.push(
+        `${i + 1}. Order: ${item.orderId} | Pincode: ${item.pincode} | State: ${
+          item.state
+        } | Payment: ${item.paymentType} | Status: ${item.paymentStatus} | ${
+          item.carrier
+            ? `Carrier: ${item.carrier}`
+            : `SKIP: ${item.skipReason || "unknown"}`
+        }`
+      );
+    }
+
+    console.log(`\n${lines.join("\n")}`);
+
+    try {
+      const logsDir = path.join(process.cwd(), "logs");
+      if (!fs.existsSync(logsDir)) fs.mkdirSync(logsDir, { recursive: true });
+      const ts = new Date().toISOString().replace(/[:.]/g, "-");
+      const filename = path.join(logsDir, logFileName("plan", ts, "txt"));
+      fs.writeFileSync(filename, lines.join("\n") + "\n");
+      console.log(`Plan written to ${filename}`);
+    } catch (e) {
+      console.error("Failed to write plan file:", e.message);
+    }
+  }
+
   // Wait for the order list table to be visible
   async waitForTable(timeout = 10000) {
     await this.page.waitForSelector(`${this.tableSelector} tbody tr`, {
@@ -751,57 +1067,729 @@ class OrderListPage {
     });
   }
 
-  // Click each row's address button, wait for popup, then close it.
-  // This method is defensive: it tries several close selectors and will
-  // timeout gracefully per row instead of failing the whole run.
-  async clickEachRowAddressPopup({ perRowTimeout = 5000 } = {}) {
+  // Open the order list directly and show all rows (see showAllRows)
+  async reopenOrderList() {
+    await this.page.goto(`${BASE_URL}/inventory/order_list`);
+    try {
+      await this.page.waitForLoadState("networkidle");
+    } catch (e) {
+      // ignore load state timeout
+    }
+    await this.showAllRows();
     await this.waitForTable();
-    // get all rows currently in the table
-    const allRows = await this.page.$$(`${this.tableSelector} tbody tr`);
+  }
+
+  // Number of times the table body has been redrawn (rows replaced) since
+  // the page loaded. A MutationObserver counts tbody child changes, which
+  // covers client-side and server-side DataTables draws alike.
+  async drawCount() {
+    try {
+      return await this.page.evaluate((selector) => {
+        if (window.__orderTableDraws === undefined) {
+          window.__orderTableDraws = 0;
+          const tbody = document.querySelector(`${selector} tbody`);
+          if (tbody) {
+            new MutationObserver(() => {
+              window.__orderTableDraws += 1;
+            }).observe(tbody, { childList: true });
+          }
+        }
+        return window.__orderTableDraws;
+      }, this.tableSelector);
+    } catch (e) {
+      return 0;
+    }
+  }
+
+  // Run `action` (a paging click, a page length change) and wait for the
+  // table to redraw and the "Processing..." indicator to go away
+  async waitForDraw(action, timeout = 15000) {
+    const before = await this.drawCount();
+    await action();
+    await this.page
+      .waitForFunction((count) => window.__orderTableDraws > count, before, {
+        timeout,
+      })
+      .catch(() => {
+        // no redraw seen (e.g. the same rows again); carry on
+      });
+    await this.page
+      .waitForSelector("#example_processing", { state: "hidden", timeout })
+      .catch(() => {
+        // no processing indicator on client-side tables
+      });
+    // let DataTables finish appending the rows
+    await this.page.waitForTimeout(300);
+  }
+
+  // Pick "All" (-1) in the page length dropdown, or the largest length when
+  // the admin doesn't offer "All". Returns true when every row fits on one
+  // page; otherwise clickEachRowAddressPopup walks the pages.
+  async showAllRows() {
+    const select = this.page.locator(this.pageLengthSelector);
+    if ((await select.count()) === 0) return false;
+    const values = await select
+      .locator("option")
+      .evaluateAll((options) => options.map((o) => o.value));
+    const lengths = values.map(Number).filter((n) => Number.isFinite(n));
+    const value = lengths.includes(-1)
+      ? "-1"
+      : String(Math.max(...lengths.filter((n) => n > 0)));
+    if (value === "-Infinity") return false;
+    if ((await select.inputValue()) !== value) {
+      await this.waitForDraw(() => select.selectOption({ value }));
+    }
+    if (value !== "-1") {
+      // eslint-disable-next-line no-console
+      console.log(
+        `Order list has no "All" page length; showing ${value} rows per page`
+      );
+    }
+    return value === "-1";
+  }
+
+  // Whether the paging button matched by `selector` exists and is enabled
+  async isPagingButtonEnabled(selector) {
+    const button = this.page.locator(selector).first();
+    if ((await button.count()) === 0) return false;
+    return button.evaluate(
+      (el) =>
+        !(
+          el.classList.contains("disabled") ||
+          el.hasAttribute("disabled") ||
+          el.getAttribute("aria-disabled") === "true" ||
+          (el.parentElement && el.parentElement.classList.contains("disabled"))
+        )
+    );
+  }
 
-    // Filter rows to only include those with "New" badge
+  // Move to the next page of the order list. Returns false on the last page.
+  async goToNextPage() {
+    if (!(await this.isPagingButtonEnabled(this.nextPageSelector))) {
+      return false;
+    }
+    await this.waitForDraw(() =>
+      this.page.locator(this.nextPageSelector).first().click()
+    );
+    return true;
+  }
+
+  // Go back to the first page of the order list
+  async goToFirstPage() {
+    if (await this.isPagingButtonEnabled(this.firstPageSelector)) {
+      await this.waitForDraw(() =>
+        this.page.locator(this.firstPageSelector).first().click()
+      );
+      return;
+    }
+    // no "First" button: step back (bounded, in case Previous never disables)
+    for (let n = 0; n < 500; n++) {
+      if (!(await this.isPagingButtonEnabled(this.previousPageSelector))) {
+        return;
+      }
+      await this.waitForDraw(() =>
+        this.page.locator(this.previousPageSelector).first().click()
+      );
+    }
+  }
+
+  // Log in again after the session expired and bring the order list back.
+  // Returns false when no `relogin` option was given or it failed.
+  async recoverSession() {
+    if (!this.relogin) return false;
+    try {
+      // eslint-disable-next-line no-console
+      console.log("Admin session expired, logging in again...");
+      await this.relogin();
+      await this.reopenOrderList();
+      return true;
+    } catch (e) {
+      // eslint-disable-next-line no-console
+      console.warn(`Re-login failed: ${e.message}`);
+      return false;
+    }
+  }
+
+  // Table rows carrying the "New" badge. With `trackIds` also returns every
+  // order ID in the table and the ones that are "New" (for reporting
+  // requested IDs that can't be processed). Rows matched to a response
+  // record take the badge and ID from it; the others are read from the DOM.
+  async collectNewRows({ trackIds = false } = {}) {
+    const allRows = await this.page.$$(`${this.tableSelector} tbody tr`);
+    this.rowRecords = await this.matchRowRecords(allRows);
+    const tableIds = new Set(); // every order ID in the table
+    const newIds = new Set(); // order IDs carrying the "New" badge
     const rows = [];
     for (const row of allRows) {
       try {
-        // Check if this row has a "New" badge in the Name column (second column)
-        const nameCell = await row.$("td:nth-child(2)");
-        if (nameCell) {
-          const badgeText = await nameCell
-            .$eval(".badge", (el) => el.textContent.trim())
-            .catch(() => null);
-          if (badgeText === "New") {
-            rows.push(row);
+        const record = this.rowRecords.get(row);
+        let isNew = false;
+        if (record) {
+          isNew = record.isNew;
+        } else {
+          // Check if this row has a "New" badge in the Name column (second column)
+          const nameCell = await row.$("td:nth-child(2)");
+          if (nameCell) {
+            const badgeText = await nameCell
+              .$eval(".badge", (el) => el.textContent.trim())
+              .catch(() => null);
+            isNew = badgeText === "New";
+          }
+        }
+        if (isNew) rows.push(row);
+        if (trackIds) {
+          const id = await this.rowOrderId(row);
+          if (id) {
+            tableIds.add(id);
+            if (isNew) newIds.add(id);
           }
         }
       } catch (e) {
         // If we can't check the badge, skip this row
         continue;
       }
-    }
-
-    // Log filtering results
-    console.log(`Total rows in table: ${allRows.length}`);
-    console.log(`Rows with "New" badge: ${rows.length}`);
-
-    // If PROCESS_COUNT env var is set to a positive integer, treat it as
-    // the maximum number of rows to process in this run. Otherwise process
-    // all rows as before.
-    const envCount = parseInt(process.env.PROCESS_COUNT, 10);
-    const maxToProcess =
-      Number.isInteger(envCount) && envCount > 0 ? envCount : null;
-    if (maxToProcess) {
+    }
+    return { allRows, rows, tableIds, newIds };
+  }
+
+  // Capture the responses that feed the order table: the order_list page
+  // itself and DataTables ajax calls ({ data: [...] }). Call before the order
+  // list is opened; loadTableRecords turns them into order records.
+  watchTableResponses() {
+    if (this.watchingResponses) return;
+    this.watchingResponses = true;
+    this.page.on("response", (response) => {
+      // images, styles, scripts and other pages are never read
+      const kind = this.tableResponseKind(response);
+      if (!kind) return;
+      const capture = this.captureTableResponse(response, kind)
+        .catch(() => {
+          // ignore bodies that can't be read (redirects, aborted requests)
+        })
+        .then(() => {
+          const i = this.pendingCaptures.indexOf(capture);
+          if (i !== -1) this.pendingCaptures.splice(i, 1);
+        });
+      this.pendingCaptures.push(capture);
+    });
+  }
+
+  // "html" for the order_list page, "json" for an xhr/fetch JSON response
+  // (maybe a DataTables draw), null for anything else
+  tableResponseKind(response) {
+    const type = response.request().resourceType();
+    const contentType = (
+      response.headers()["content-type"] || ""
+    ).toLowerCase();
+    if (type === "document") {
+      return /\/inventory\/order_list/.test(response.url()) &&
+        contentType.includes("html")
+        ? "html"
+        : null;
+    }
+    if ((type === "xhr" || type === "fetch") && contentType.includes("json")) {
+      return "json";
+    }
+    return null;
+  }
+
+  async captureTableResponse(response, kind) {
+    if (kind === "html") {
+      // a new page load replaces whatever the previous one fetched
+      this.tableResponses = [
+        { kind: "html", url: response.url(), body: await response.text() },
+      ];
+    } else {
+      const body = await response.json();
+      if (!body || !Array.isArray(body.data || body.aaData)) return;
+      this.tableResponses.push({ kind: "json", url: response.url(), body });
+      // keep the latest draws only
+      if (this.tableResponses.length > 20) this.tableResponses.shift();
+    }
+  }
+
+  // Build the order records from the captured responses (later responses
+  // win). Leaves the map empty when nothing usable was captured, in which
+  // case rows are read from the table cells only.
+  async loadTableRecords() {
+    await Promise.all(this.pendingCaptures.splice(0));
+    const records = new Map();
+    let source = null;
+    const headers = await this.page
+      .$$eval(`${this.tableSelector} thead th`, (ths) =>
+        ths.map((th) => th.textContent.trim())
+      )
+      .catch(() => []);
+    // records of the last usable response, in the order it drew the rows
+    let draw = [];
+    for (const captured of this.tableResponses) {
+      let list = null;
+      try {
+        if (captured.kind === "json") {
+          list = recordsFromJson(captured.body, headers);
+        } else {
+          // parse the page's copy of the table in the browser
+          const table = await this.page.evaluate(
+            ({ html, selector }) => {
+              const doc = new DOMParser().parseFromString(html, "text/html");
+              const el = doc.querySelector(selector);
+              if (!el) return null;
+              return {
+                headers: [...el.querySelectorAll("thead th")].map((th) =>
+                  th.textContent.trim()
+                ),
+                rows: [...el.querySelectorAll("tbody tr")].map((tr) =>
+                  [...tr.querySelectorAll("td")].map((td) => td.innerHTML)
+                ),
+              };
+            },
+            { html: captured.body, selector: this.tableSelector }
+          );
+          if (table) list = recordsFromRows(table.headers, table.rows);
+        }
+      } catch (e) {
+        // eslint-disable-next-line no-console
+        console.warn(
+          `Could not read order data from ${captured.url}: ${e.message}`
+        );
+      }
+      if (list && list.length) {
+        for (const record of list) records.set(record.orderId, record);
+        source = captured.kind;
+        draw = list;
+      }
+    }
+    this.tableRecords = records;
+    this.tableSource = source;
+    this.tableDraw = draw;
+    // eslint-disable-next-line no-console
+    console.log(
+      source
+        ? `Order data: ${
+            records.size
+          } orders read from the ${source.toUpperCase()} response`
+        : "Order data: no table response captured, reading the table cells"
+    );
+    return records;
+  }
+
+  // Match the table's rows to the records of the response that drew them,
+  // by position. A row only gets its record when its text shows the
+  // record's order ID, so a response for another draw or page never counts.
+  // Returns a Map of row handle -> record; unmatched rows are read from the
+  // DOM (getRowOrderId, readRowCells).
+  async matchRowRecords(allRows) {
+    const matched = new Map();
+    const draw = this.tableDraw || [];
+    if (!draw.length) return matched;
+    if (draw.length === allRows.length) {
+      for (let i = 0; i < allRows.length; i++) {
+        const text = await allRows[i].innerText().catch(() => "");
+        if (textShowsOrderId(text, draw[i].orderId)) {
+          matched.set(allRows[i], draw[i]);
+        }
+      }
+    }
+    if (matched.size < allRows.length) {
+      // eslint-disable-next-line no-console
+      console.warn(
+        `Order data: ${allRows.length - matched.size} of ${
+          allRows.length
+        } rows don't line up with the ${this.tableSource} response (${
+          draw.length
+        } orders); reading them from the table cells`
+      );
+    }
+    return matched;
+  }
+
+  // Order ID of a row: from its response record, else guessed from the DOM
+  async rowOrderId(row) {
+    const record = this.rowRecords.get(row);
+    return record ? record.orderId : this.getRowOrderId(row);
+  }
+
+  // Payment type and status from a row's cells, located by the header text
+  // (columns 9 and 10 when the headers aren't recognised)
+  async readRowCells(row) {
+    if (!this.domColumns) {
+      const headers = await this.page
+        .$$eval(`${this.tableSelector} thead th`, (ths) =>
+          ths.map((th) => th.textContent.trim())
+        )
+        .catch(() => []);
+      this.domColumns = {
+        paymentType: 8,
+        paymentStatus: 9,
+        ...findColumns(headers),
+      };
+    }
+    const result = { paymentType: null, paymentStatus: null };
+    try {
+      const allCells = await row.$$("td");
+      for (const field of ["paymentType", "paymentStatus"]) {
+        const cell = allCells[this.domColumns[field]];
+        if (!cell) continue;
+        try {
+          result[field] = (await cell.innerText()).trim() || null;
+        } catch (e) {
+          // ignore
+        }
+      }
+    } catch (e) {
+      // ignore table cell extraction errors
+    }
+    return result;
+  }
+
+  // Read the order id of a table row. Tries the address button attributes
+  // and text first, then row attributes and common cells.
+  // Selector pattern used by the UI: `#example > tbody > tr:nth-child(1) > td.sorting_1 > button.btn.btn-link.address-show-btn`
+  async getRowOrderId(row) {
+    let orderId = null;
+    try {
+      const addrBtn = await row.$(
+        "td.sorting_1 > button.address-show-btn, td.sorting_1 > a.address-show-btn"
+      );
+      if (addrBtn) {
+        // common attributes where an id might be stored
+        const attrCandidates = [
+          "data-order-id",
+          "data-id",
+          "data-order",
+          "title",
+          "aria-label",
+        ];
+        for (const attr of attrCandidates) {
+          try {
+            const v = await addrBtn.getAttribute(attr);
+            if (v) {
+              orderId = v.trim();
+              break;
+            }
+          } catch (e) {
+            // ignore attribute read errors
+          }
+        }
+
+        if (!orderId) {
+          try {
+            const btnText = (await addrBtn.innerText()).trim();
+            if (btnText) orderId = btnText;
+          } catch (e) {
+            // ignore
+          }
+        }
+      }
+    } catch (e) {
+      // ignore
+    }
+
+    // If not found on the button, fallback to row attribute or common cells
+    if (!orderId) {
+      try {
+        const dataAttr = await row.getAttribute("data-order-id");
+        if (dataAttr) orderId = dataAttr.trim();
+      } catch (e) {
+        // ignore
+      }
+    }
+
+    if (!orderId) {
+      const orderCell = await row.$("td.order-id, th.order-id");
+      if (orderCell) {
+        try {
+          orderId = (await orderCell.innerText()).trim();
+        } catch (e) {
+          // ignore
+        }
+      }
+    }
+
+    if (!orderId) {
+      // fallback to first td text
+      const firstTd = await row.$("td:first-child");
+      if (firstTd) {
+        try {
+          orderId = (await firstTd.innerText()).trim();
+        } catch (e) {
+          // ignore
+        }
+      }
+    }
+
+    return orderId;
+  }
+
+  // Click each row's address button, wait for popup, then close it.
+  // This method is defensive: it tries several close selectors and will
+  // timeout gracefully per row instead of failing the whole run.
+  async clickEachRowAddressPopup({ perRowTimeout = 5000 } = {}) {
+    await this.waitForTable();
+    // order records from the response that fed the table, if captured
+    await this.loadTableRecords();
+
+    // order IDs requested (ORDER_IDS / ORDER_IDS_FILE) or excluded for this run
+    const selection = loadOrderSelection();
+
+    // Filter rows to only include those with "New" badge; the IDs are only
+    // needed to report requested IDs that can't be processed
+    const trackIds = Boolean(selection.include);
+    const {
+      allRows,
+      rows: newRows,
+      tableIds,
+      newIds,
+    } = await this.collectNewRows({ trackIds });
+    // rows of the current page not started yet; replaced when the table
+    // redraws, on the next page and after a re-login (old handles go stale)
+    let rows = newRows;
+    // table redraw count the row handles belong to
+    let rowsDraw = await this.drawCount();
+    // a paged table (server-side paging, no "All" length) is walked page
+    // by page; pages are read again from the first one until a pass finds
+    // no new orders, since rows move between pages as orders change status
+    const paged = await this.isPagingButtonEnabled(this.nextPageSelector);
+    let pass = 1;
+    let startedThisPass = 0;
+    // rows started in this run (see rowKey), never started again
+    const startedIds = new Set();
+    // a row's order ID; rows without one are known by their text, so a
+    // redraw or a later pass doesn't report them again
+    const rowKey = async (row, orderId) => {
+      if (orderId) return orderId;
+      const text = await row.innerText().catch(() => "");
+      return `row:${String(text || "")
+        .replace(/\s+/g, " ")
+        .trim()}`;
+    };
+
+    // Log filtering results
+    console.log(`Total rows in table: ${allRows.length}`);
+    console.log(`Rows with "New" badge: ${rows.length}`);
+    if (paged) {
+      console.log(
+        "Order list is paged: rows of the following pages are read as the run goes"
+      );
+    }
+
+    // requested order IDs that are not in the table, or are there without the
+    // "New" badge, will not be processed - report them up front (at the end
+    // for a paged table, once every page has been read)
+    const requestedIdProblems = () => {
+      const notFound = [];
+      const notNew = [];
+      for (const id of selection.include || []) {
+        if (!tableIds.has(id)) notFound.push(id);
+        else if (!newIds.has(id)) notNew.push(id);
+      }
+      return { notFound, notNew };
+    };
+    let { notFound: requestedNotFound, notNew: requestedNotNew } =
+      requestedIdProblems();
+    if (selection.include) {
+      console.log(
+        `Requested order IDs: ${selection.include.size}, excluded: ${selection.exclude.size}`
+      );
+      if (requestedNotFound.length && !paged) {
+        console.log(
+          `Requested order IDs not found in the table: ${requestedNotFound.join(
+            ", "
+          )}`
+        );
+      }
+      if (requestedNotNew.length && !paged) {
+        console.log(
+          `Requested order IDs without the "New" badge: ${requestedNotNew.join(
+            ", "
+          )}`
+        );
+      }
+    } else if (selection.exclude.size) {
+      console.log(`Excluded order IDs: ${selection.exclude.size}`);
+    }
+
+    // If PROCESS_COUNT env var is set to a positive integer, treat it as
+    // the maximum number of rows to process in this run. Otherwise process
+    // all rows as before.
+    const envCount = parseInt(process.env.PROCESS_COUNT, 10);
+    const maxToProcess =
+      Number.isInteger(envCount) && envCount > 0 ? envCount : null;
+    if (maxToProcess) {
+      // eslint-disable-next-line no-console
+      console.log(
+        `PROCESS_COUNT set: will stop after ${maxToProcess} successful records or end of table (whichever comes first)`
+      );
+    }
+    // counter for how many rows we've successfully processed
+    let successfullyProcessedCount = 0;
+    let totalRowsAttempted = 0; // Track total rows attempted
+    const processed = new Map(); // Use Map to store carrier -> orders dynamically
+    const errors = []; // Array to store orders that had errors during processing
+    const dryRun = isDryRun();
+    const plan = []; // dry-run only: one entry per attempted order
+    const stateCheck = isAddressStateCheckEnabled();
+    const minAddressScore = getMinAddressScore();
+    if (dryRun) {
+      // eslint-disable-next-line no-console
+      console.log(
+        "DRY_RUN set: orders will be planned only, nothing will be synced or saved"
+      );
+    }
+    // on-disk journal of finished orders; a dry run only reads it
+    const journal = new RunJournal({ readOnly: dryRun });
+    const journalSkipped = []; // orders skipped because the journal has them
+    // differences between the table's data response and its cells
+    const sourceMismatches = [];
+    // sync step retries across the run, per step (see utils/retryPolicy)
+    const retriesByStep = {};
+    let ordersRetried = 0;
+    // native dialogs of the order tabs, with the order and step (see
+    // utils/dialogPolicy), and the one that aborted the run, if any
+    const dialogsSeen = [];
+    let abortedBy = null;
+    const attempts = []; // one entry per attempted row, for the JSON/CSV summaries
+    if (journal.resumed) {
+      // orders synced before the crash count towards PROCESS_COUNT
+      successfullyProcessedCount = journal.resumedSyncedCount();
+    }
+    // "New" rows of the current page that haven't been started yet
+    const freshRows = async () => {
+      // a new draw (page, redraw, re-login) brings its own data response
+      await this.loadTableRecords();
+      const fresh = await this.collectNewRows({ trackIds });
+      for (const id of fresh.tableIds) tableIds.add(id);
+      for (const id of fresh.newIds) newIds.add(id);
+      rowsDraw = await this.drawCount();
+      const list = [];
+      for (const row of fresh.rows) {
+        const key = await rowKey(row, await this.rowOrderId(row));
+        if (!startedIds.has(key)) list.push(row);
+      }
+      return list;
+    };
+    // Move to the next page with rows to start, going back to the first
+    // page for another pass after the last one. Returns false once a pass
+    // over every page found nothing new.
+    const loadNextPage = async () => {
+      for (;;) {
+        if (!(await this.goToNextPage())) {
+          if (!paged || startedThisPass === 0 || pass >= MAX_PAGE_PASSES) {
+            return false;
+          }
+          pass += 1;
+          startedThisPass = 0;
+          // eslint-disable-next-line no-console
+          console.log(
+            `Reading the order list again from the first page (pass ${pass})`
+          );
+          await this.goToFirstPage();
+        }
+        // freshRows reads the new page's data response
+        rows = await freshRows();
+        if (rows.length) return true;
+      }
+    };
+    let relogins = 0;
+    // Log in again and rebuild the row list without the orders already
+    // handled, so the current order is retried. Returns false (after
+    // recording the order as an error) when the run has to stop.
+    const resumeAfterRelogin = async (orderId, pincode) => {
+      if (relogins >= MAX_RELOGINS || !(await this.recoverSession())) {
+        // eslint-disable-next-line no-console
+        console.warn(
+          `Session expired at order ${
+            orderId || "N/A"
+          } and logging in again failed; stopping the run`
+        );
+        errors.push({
+          orderId: orderId || "Unknown",
+          pincode: pincode || "Unknown",
+          error: "Session expired and re-login failed",
+        });
+        return false;
+      }
+      relogins++;
+      rows = await freshRows();
+      return true;
+    };
+    // order-page syncs run in up to CONCURRENCY tabs at once; each order's
+    // result is recorded in table order (see utils/syncPool)
+    const pool = new SyncPool();
+    if (pool.size > 1) {
       // eslint-disable-next-line no-console
       console.log(
-        `PROCESS_COUNT set: will stop after ${maxToProcess} successful records or end of table (whichever comes first)`
+        `CONCURRENCY set: up to ${pool.size} orders sync in parallel tabs`
       );
     }
-    // counter for how many rows we've successfully processed
-    let successfullyProcessedCount = 0;
-    let totalRowsAttempted = 0; // Track total rows attempted
-    const processed = new Map(); // Use Map to store carrier -> orders dynamically
-    const errors = []; // Array to store orders that had errors during processing
-    for (let i = 0; i < rows.length; i++) {
-      totalRowsAttempted = i + 1; // Update the count as we process each row
+    // screenshots, HTML and (optionally) traces of failed orders
+    this.forensicsRunDir =
+      !dryRun && isForensicsEnabled() ? forensicsRunDir(journal.runId) : null;
+    this.traceChunks = false;
+    if (this.forensicsRunDir && isTraceEnabled()) {
+      if (pool.size > 1) {
+        // the browser context has one trace, so orders can't overlap
+        console.warn(
+          "FORENSICS_TRACE needs CONCURRENCY=1; no traces are kept this run"
+        );
+      } else {
+        try {
+          await this.page
+            .context()
+            .tracing.start({ screenshots: true, snapshots: true });
+          this.traceChunks = true;
+        } catch (e) {
+          console.warn(`Could not start the Playwright trace: ${e.message}`);
+        }
+      }
+    }
+    // first order whose page landed on /login; the run logs in again once
+    // the syncs still running have been recorded
+    let expiredAt = null;
+    // set when a recorded order reaches the PROCESS_COUNT limit
+    let limitReached = false;
+    for (let i = 0; ; i++) {
+      if (i >= rows.length && !expiredAt && !limitReached && !abortedBy) {
+        // end of this page: carry on with the next one
+        if (await loadNextPage()) {
+          i = -1;
+          continue;
+        }
+      }
+      if (i >= rows.length) {
+        // end of the table: the syncs still running may need a re-login
+        await pool.drain();
+        if (!expiredAt) break;
+      }
+      // wait for a free tab and, while syncs are running, until starting
+      // another order can't take the successful records past PROCESS_COUNT
+      while (
+        pool.pending >= pool.size ||
+        (maxToProcess &&
+          pool.pending > 0 &&
+          successfullyProcessedCount + pool.pending >= maxToProcess)
+      ) {
+        await pool.settled();
+      }
+      if (limitReached || abortedBy) break;
+      if (expiredAt) {
+        await pool.drain();
+        const { orderId, pincode } = expiredAt;
+        expiredAt = null;
+        if (!(await resumeAfterRelogin(orderId, pincode))) break;
+        i = -1;
+        continue;
+      }
+      // the table redrew (e.g. refreshed after a sync): the row handles may
+      // be stale or reordered, so read the current page again
+      if ((await this.drawCount()) !== rowsDraw) {
+        // eslint-disable-next-line no-console
+        console.log("Order table redrawn, reading the current page again");
+        rows = await freshRows();
+        i = -1;
+        continue;
+      }
+      totalRowsAttempted += 1; // Update the count as we process each row
       // stop early if we've reached the PROCESS_COUNT limit for successful records
       // or if we've reached the end of all records
       if (maxToProcess && successfullyProcessedCount >= maxToProcess) {
@@ -812,120 +1800,73 @@ class OrderListPage {
         break;
       }
       const row = rows[i];
+      const rowNumber = i + 1;
       try {
         // Attempt to extract an order id from the address button cell first
-        // Selector pattern used by the UI: `#example > tbody > tr:nth-child(1) > td.sorting_1 > button.btn.btn-link.address-show-btn`
         let orderId = null;
         let paymentType = null;
         let paymentStatus = null;
 
-        try {
-          const addrBtn = await row.$(
-            "td.sorting_1 > button.address-show-btn, td.sorting_1 > a.address-show-btn"
-          );
-          if (addrBtn) {
-            // common attributes where an id might be stored
-            const attrCandidates = [
-              "data-order-id",
-              "data-id",
-              "data-order",
-              "title",
-              "aria-label",
-            ];
-            for (const attr of attrCandidates) {
-              try {
-                const v = await addrBtn.getAttribute(attr);
-                if (v) {
-                  orderId = v.trim();
-                  break;
-                }
-              } catch (e) {
-                // ignore attribute read errors
-              }
-            }
-
-            if (!orderId) {
-              try {
-                const btnText = (await addrBtn.innerText()).trim();
-                if (btnText) orderId = btnText;
-              } catch (e) {
-                // ignore
-              }
-            }
-          }
-        } catch (e) {
-          // ignore
-        }
-
-        // If not found on the button, fallback to row attribute or common cells
-        if (!orderId) {
-          try {
-            const dataAttr = await row.getAttribute("data-order-id");
-            if (dataAttr) orderId = dataAttr.trim();
-          } catch (e) {
-            // ignore
-          }
+        orderId = await this.rowOrderId(row);
+        const key = await rowKey(row, orderId);
+        if (startedIds.has(key)) {
+          // already handled on an earlier page or before a redraw
+          totalRowsAttempted -= 1;
+          continue;
         }
-
-        if (!orderId) {
-          const orderCell = await row.$("td.order-id, th.order-id");
-          if (orderCell) {
-            try {
-              orderId = (await orderCell.innerText()).trim();
-            } catch (e) {
-              // ignore
-            }
-          }
+        startedIds.add(key);
+        startedThisPass += 1;
+        // Only process rows selected by ORDER_IDS / ORDER_IDS_FILE and not
+        // excluded by EXCLUDE_ORDER_IDS / EXCLUDE_ORDER_IDS_FILE.
+        const notSelectedReason = selectionSkipReason(selection, orderId);
+        if (notSelectedReason) {
+          // eslint-disable-next-line no-console
+          console.log(
+            `Skipping order ${
+              orderId || "N/A"
+            } because it's ${notSelectedReason}`
+          );
+          continue;
         }
 
-        if (!orderId) {
-          // fallback to first td text
-          const firstTd = await row.$("td:first-child");
-          if (firstTd) {
-            try {
-              orderId = (await firstTd.innerText()).trim();
-            } catch (e) {
-              // ignore
-            }
-          }
+        // skip orders the journal says were already handled
+        const journalSkipReason = journal.skipReason(orderId);
+        if (journalSkipReason) {
+          // eslint-disable-next-line no-console
+          console.log(`Skipping order ${orderId}: ${journalSkipReason}`);
+          journalSkipped.push({ orderId, reason: journalSkipReason });
+          continue;
         }
 
-        // Extract Payment Type and Payment Status from table cells
-        // Based on the HTML structure: Payment Type is column 9 (index 8), Payment Status is column 10 (index 9)
-        try {
-          const allCells = await row.$$("td");
-          if (allCells.length >= 10) {
-            // Payment Type is at index 8 (9th column)
-            try {
-              paymentType = (await allCells[8].innerText()).trim();
-            } catch (e) {
-              // ignore
-            }
-            // Payment Status is at index 9 (10th column)
-            try {
-              paymentStatus = (await allCells[9].innerText()).trim();
-            } catch (e) {
-              // ignore
-            }
-          }
-        } catch (e) {
-          // ignore table cell extraction errors
+        // Payment Type and Payment Status from the row's response record,
+        // the cells as fallback; report where the two disagree
+        const cells = await this.readRowCells(row);
+        const record = this.rowRecords.get(row) || null;
+        const rowMismatches = record
+          ? compareRecord(record, { ...cells, isNew: true })
+          : [];
+        if (
+          !record &&
+          orderId &&
+          this.tableRecords.size &&
+          !this.tableRecords.has(orderId)
+        ) {
+          rowMismatches.push({
+            orderId,
+            field: "order",
+            response: "missing",
+            dom: "present",
+          });
         }
-        // If ORDERS_TO_PROCESS is non-empty, only process rows whose
-        // orderId is listed there. Otherwise process all orders.
-        if (ORDERS_TO_PROCESS.size > 0) {
-          const shouldProcess =
-            orderId && ORDERS_TO_PROCESS.has(String(orderId).trim());
-          if (!shouldProcess) {
-            // eslint-disable-next-line no-console
-            console.log(
-              `Skipping order ${
-                orderId || "N/A"
-              } because it's not listed in ORDERS_TO_PROCESS`
-            );
-            continue;
-          }
+        for (const mismatch of rowMismatches) {
+          // eslint-disable-next-line no-console
+          console.warn(
+            `Order ${orderId}: ${mismatch.field} is '${mismatch.response}' in the ${this.tableSource} response but '${mismatch.dom}' in the table`
+          );
+          sourceMismatches.push(mismatch);
         }
+        paymentType = (record && record.paymentType) || cells.paymentType;
+        paymentStatus = (record && record.paymentStatus) || cells.paymentStatus;
 
         // find the button within the row using the relative selector
         const btn = await row.$(this.rowButtonSelector);
@@ -956,70 +1897,173 @@ class OrderListPage {
         let handleResult = null;
         try {
           // pass 1-based row index and orderId for clearer logs
-          handleResult = await this.handleAddressPopup(i + 1, orderId);
+          handleResult = await this.handleAddressPopup(rowNumber, orderId);
         } catch (e) {
           // ignore errors from the delegated handler and continue with local logic
         }
+        // the popup as read for this order, kept in case the order fails
+        const addressHtml = this.forensicsRunDir
+          ? await readOuterHtml(this.page, "#addressShowBody")
+          : null;
+
+        // the list page itself was sent to /login: log in again (at the top
+        // of the loop) and retry this order from a fresh row list
+        if (isLoginUrl(this.page.url())) {
+          totalRowsAttempted -= 1;
+          if (!expiredAt) expiredAt = { orderId, pincode: null };
+          startedIds.delete(key);
+          continue;
+        }
+
+        // errors recorded for this row, added to `errors` in table order
+        const rowErrors = [];
+        const pincode = handleResult && handleResult.pincode;
+        const state = handleResult && handleResult.state;
+        // arguments for syncShiprocketForOrder when the order is synced
+        let syncOptions = null;
+        // a pincode from one state with another state on the address
+        // would change the carrier rules' outcome, so don't pick a carrier
+        const consistency =
+          pincode && stateCheck
+            ? checkPincodeState(pincode, state)
+            : { consistent: null };
+        const quality = handleResult && handleResult.quality;
+        if (
+          orderId &&
+          quality &&
+          minAddressScore > 0 &&
+          quality.score < minAddressScore
+        ) {
+          // hold the order until the address is fixed in the admin
+          // eslint-disable-next-line no-console
+          console.log(
+            `Order ${orderId} ${NEEDS_REVIEW} (address score ${
+              quality.score
+            } < ${minAddressScore}): ${quality.problems.join("; ")}`
+          );
+          rowErrors.push({
+            orderId,
+            pincode: pincode || "Unknown",
+            error: `${NEEDS_REVIEW}: address score ${
+              quality.score
+            } - ${quality.problems.join("; ")}`,
+            score: quality.score,
+            problems: quality.problems,
+          });
+        } else if (pincode && orderId && consistency.consistent === false) {
+          // eslint-disable-next-line no-console
+          console.log(
+            `Order ${orderId} flagged ${ADDRESS_INCONSISTENT}: ${consistency.reason}`
+          );
+          rowErrors.push({
+            orderId,
+            pincode,
+            error: `${ADDRESS_INCONSISTENT}: ${consistency.reason}`,
+            expectedState: consistency.expected.join(" / "),
+          });
+        } else if (pincode && orderId) {
+          syncOptions = {
+            waitMs: 2500,
+            pincode,
+            state,
+            paymentType,
+            paymentStatus,
+          };
+        } else {
+          // Missing pincode or orderId - add to errors
+          rowErrors.push({
+            orderId: orderId || "Unknown",
+            pincode: pincode || "Unknown",
+            error: "Missing pincode or order ID for processing",
+          });
+        }
 
-        // Track whether this row was successfully processed
-        let rowProcessedSuccessfully = false;
+        // Record the row once its sync (if any) is done. Runs in table order.
+        const recordRow = async ({ value: result, error }) => {
+          // Track whether this row was successfully processed
+          let rowProcessedSuccessfully = false;
+          // carrier used (or planned in dry-run) for this row and its
+          // journal outcome; orders held or missing data count as skipped
+          let rowCarrier = null;
+          let rowOutcome = syncOptions ? "failed" : "skipped";
+          // AWB and order status read back after the save (utils/orderVerification)
+          const rowAwb = (result && result.awb) || null;
+          const rowOrderStatus = (result && result.orderStatus) || null;
+          const rowRetries = countRetries(result && result.retries);
+          if (rowRetries) {
+            ordersRetried += 1;
+            for (const [name, n] of Object.entries(result.retries)) {
+              retriesByStep[name] = (retriesByStep[name] || 0) + n;
+            }
+          }
+          // transient or permanent, for orders that failed in the sync
+          const rowFailure =
+            result && !result.synced && !result.dryRun ? result.failure : null;
+          const rowDialogs = (result && result.dialogs) || [];
+          for (const dialog of rowDialogs)
+            dialogsSeen.push({ orderId, ...dialog });
+          if (result && result.abortRun && !abortedBy) {
+            abortedBy = { orderId, ...result.abortRun };
+            // eslint-disable-next-line no-console
+            console.warn(
+              `Dialog policy: stopping the run after order ${orderId} ("${
+                abortedBy.message
+              }"${abortedBy.rule ? `, rule ${abortedBy.rule}` : ""})`
+            );
+          }
 
-        // If we extracted a pincode and have an orderId, attempt to sync via Shiprocket in a new tab.
-        try {
-          const pincode = handleResult && handleResult.pincode;
-          const state = handleResult && handleResult.state;
-          if (pincode && orderId) {
-            // run sync flow for this order; keep it quick and non-blocking per row
-            // awaiting here ensures sequential per-row behavior; if you want parallel,
-            // you could spawn without await but ensure resource limits.
-            const result = await this.syncShiprocketForOrder(orderId, {
-              waitMs: 2500,
-              pincode,
-              state,
-              paymentType,
-              paymentStatus,
+          if (error) {
+            // Exception during sync attempt - add to errors
+            rowErrors.push({
+              orderId: orderId || "Unknown",
+              pincode: pincode || "Unknown",
+              error: `Exception during sync: ${error.message}`,
             });
-
-            // Check if sync was successful
-            if (result && result.synced) {
-              try {
-                // Always use CARRIER_OVERRIDE as the definitive carrier name
-                // This ensures consistency regardless of what the sync operation returns
-                const carrierOverride = (
-                  process.env.CARRIER_OVERRIDE || ""
-                ).trim();
-                let carrier = carrierOverride || result.carrier;
-
-                if (carrier) {
-                  if (!processed.has(carrier)) {
-                    processed.set(carrier, []);
-                  }
-                  processed.get(carrier).push({
-                    orderId,
-                    pincode,
-                    state: (handleResult && handleResult.state) || "N/A",
-                    paymentType: paymentType || "N/A",
-                    paymentStatus: paymentStatus || "N/A",
-                  });
-                  // Mark as successfully processed since we have a carrier and sync succeeded
-                  rowProcessedSuccessfully = true;
-                } else {
-                  // No carrier identified but sync was successful - add to errors for investigation
-                  errors.push({
-                    orderId,
-                    pincode,
-                    error: "Sync successful but no carrier identified",
-                  });
-                  // Don't mark as successful since no carrier was identified
+            // eslint-disable-next-line no-console
+            console.warn(
+              `row ${rowNumber}: error during syncShiprocket - ${error.message}`
+            );
+          } else if (syncOptions) {
+            if (result && result.reason === SESSION_EXPIRED) {
+              // not recorded: the order is retried after logging in again
+              totalRowsAttempted -= 1;
+              if (!expiredAt) expiredAt = { orderId, pincode };
+              startedIds.delete(orderId);
+              return;
+            } else if (result && result.dryRun) {
+              // planned only - count it towards PROCESS_COUNT so the plan
+              // matches what a real run would attempt
+              rowCarrier = result.carrier;
+              rowProcessedSuccessfully = true;
+            } else if (result && result.synced) {
+              // Use the carrier picked from the chain for this order
+              const carrier = result.carrier;
+
+              if (carrier) {
+                if (!processed.has(carrier)) {
+                  processed.set(carrier, []);
                 }
-              } catch (e) {
-                // Error processing successful sync result
-                errors.push({
+                processed.get(carrier).push({
+                  orderId,
+                  awb: result.awb || null,
+                  pincode,
+                  state: state || "N/A",
+                  paymentType: paymentType || "N/A",
+                  paymentStatus: paymentStatus || "N/A",
+                  ...addressFields(handleResult),
+                });
+                // Mark as successfully processed since we have a carrier and sync succeeded
+                rowProcessedSuccessfully = true;
+                rowCarrier = carrier;
+                rowOutcome = "synced";
+              } else {
+                // No carrier identified but sync was successful - add to errors for investigation
+                rowErrors.push({
                   orderId,
                   pincode,
-                  error: `Error processing sync result: ${e.message}`,
+                  error: "Sync successful but no carrier identified",
                 });
-                // Don't mark as successful due to error
+                // Don't mark as successful since no carrier was identified
               }
             } else {
               // Sync failed - check if it was due to dialog appearance
@@ -1028,101 +2072,143 @@ class OrderListPage {
                 : "Unknown sync failure";
               const skipReason =
                 result && result.skipReason ? ` - ${result.skipReason}` : "";
+              if (
+                result &&
+                (result.skipped ||
+                  result.reason === "carrier-conditions-not-met")
+              ) {
+                rowOutcome = "skipped";
+              }
 
               // Special handling for dialog-appeared case
               if (result && result.reason === "dialog-appeared") {
                 console.log(
-                  `Row ${
-                    i + 1
-                  } (Order ID: ${orderId}) - Skipped due to browser dialog. Pincode: ${pincode}, State: ${
+                  `Row ${rowNumber} (Order ID: ${orderId}) - Skipped due to browser dialog. Pincode: ${pincode}, State: ${
                     state || "N/A"
                   }, Payment Type: ${paymentType || "N/A"}, Payment Status: ${
                     paymentStatus || "N/A"
                   }`
                 );
-                errors.push({
+                rowErrors.push({
                   orderId,
                   pincode,
-                  error: `Skipped due to browser dialog appearance`,
+                  error: `Skipped due to browser dialog appearance${
+                    result.dialog ? `: "${result.dialog}"` : ""
+                  }`,
                   state: state || "N/A",
                   paymentType: paymentType || "N/A",
                   paymentStatus: paymentStatus || "N/A",
                 });
               } else {
-                errors.push({
+                rowErrors.push({
                   orderId,
                   pincode,
-                  error: `Sync failed: ${errorReason}${skipReason}`,
+                  error: `Sync failed${
+                    rowFailure ? ` (${rowFailure})` : ""
+                  }: ${errorReason}${skipReason}`,
                 });
               }
               // Don't mark as successful since sync failed
             }
-          } else {
-            // Missing pincode or orderId - add to errors
-            errors.push({
-              orderId: orderId || "Unknown",
-              pincode: (handleResult && handleResult.pincode) || "Unknown",
-              error: "Missing pincode or order ID for processing",
+          }
+          if (this.forensicsRunDir && rowErrors.length) {
+            await this.saveRowForensics(orderId, {
+              rowNumber,
+              rowErrors,
+              result,
+              error,
+              addressHtml,
             });
           }
-        } catch (e) {
-          // Exception during sync attempt - add to errors
-          errors.push({
-            orderId: orderId || "Unknown",
-            pincode: (handleResult && handleResult.pincode) || "Unknown",
-            error: `Exception during sync: ${e.message}`,
-          });
-          // eslint-disable-next-line no-console
-          console.warn(
-            `row ${i + 1}: error during syncShiprocket - ${e.message}`
-          );
-        }
+          errors.push(...rowErrors);
 
-        // Per-row logging so user sees immediate progress for each processed row
-        try {
-          const pcode = (handleResult && handleResult.pincode) || null;
-          const state = (handleResult && handleResult.state) || null;
-          // determine carrier if we recorded it in processed arrays
-          let carrier = null;
-          for (const [carrierName, orders] of processed) {
-            if (orders.find((x) => x.orderId === orderId)) {
-              carrier = carrierName;
-              break;
-            }
-          }
+          // Per-row logging so user sees immediate progress for each processed row
           // eslint-disable-next-line no-console
           console.log(
-            `Row ${i + 1}: order=${orderId || "N/A"}, pincode=${
-              pcode || "N/A"
+            `Row ${rowNumber}: order=${orderId || "N/A"}, pincode=${
+              pincode || "N/A"
             }, state=${state || "N/A"}, paymentType=${
               paymentType || "N/A"
             }, paymentStatus=${paymentStatus || "N/A"}, carrier=${
-              carrier || "N/A"
-            }`
+              (rowOutcome === "synced" && rowCarrier) || "N/A"
+            }, awb=${rowAwb || "N/A"}`
           );
-        } catch (e) {
-          // ignore logging errors per row
-        }
 
-        // Only increment counter for successfully processed rows
-        if (rowProcessedSuccessfully) {
-          try {
-            successfullyProcessedCount += 1;
-          } catch (e) {
-            // ignore
+          const rowError = rowErrors.length
+            ? rowErrors[rowErrors.length - 1]
+            : null;
+          if (dryRun) {
+            plan.push({
+              orderId: orderId || "Unknown",
+              pincode: pincode || "N/A",
+              state: state || "N/A",
+              paymentType: paymentType || "N/A",
+              paymentStatus: paymentStatus || "N/A",
+              carrier: rowCarrier,
+              skipReason: rowCarrier ? null : rowError && rowError.error,
+            });
+          } else {
+            journal.record(orderId, rowOutcome, {
+              carrier: rowCarrier,
+              awb: rowAwb,
+              reason: rowError && rowError.error,
+            });
+            // give every error entry of this row the order details so the
+            // reports can show them regardless of which branch recorded it
+            for (const entry of rowErrors) {
+              if (!entry.state) entry.state = state || "N/A";
+              if (!entry.paymentType) entry.paymentType = paymentType || "N/A";
+              if (!entry.paymentStatus) {
+                entry.paymentStatus = paymentStatus || "N/A";
+              }
+              Object.assign(entry, addressFields(handleResult));
+              if (rowAwb && !entry.awb) entry.awb = rowAwb;
+            }
+            attempts.push({
+              orderId: orderId || "Unknown",
+              pincode: pincode || null,
+              state: state || null,
+              paymentType: paymentType || null,
+              paymentStatus: paymentStatus || null,
+              carrier: rowCarrier,
+              awb: rowAwb,
+              orderStatus: rowOrderStatus,
+              outcome: rowOutcome,
+              error: rowError ? rowError.error : null,
+              forensics: rowError ? rowError.forensics || null : null,
+              failure: rowFailure || null,
+              retries: rowRetries,
+              retriesByStep: (result && result.retries) || {},
+              dialogs: rowDialogs,
+              ...addressFields(handleResult),
+              billingAddress:
+                (handleResult && handleResult.billingAddress) || null,
+            });
           }
+          // Only increment counter for successfully processed rows
+          if (rowProcessedSuccessfully) {
+            successfullyProcessedCount += 1;
 
-          // Check if we've reached the configured maximum successful records
-          if (maxToProcess && successfullyProcessedCount >= maxToProcess) {
-            // eslint-disable-next-line no-console
-            console.log(
-              `Reached PROCESS_COUNT limit (${maxToProcess}) for successful records after row ${
-                i + 1
-              }. Stopping processing.`
-            );
-            break;
+            // Check if we've reached the configured maximum successful records
+            if (maxToProcess && successfullyProcessedCount >= maxToProcess) {
+              // eslint-disable-next-line no-console
+              console.log(
+                `Reached PROCESS_COUNT limit (${maxToProcess}) for successful records after row ${rowNumber}. Stopping processing.`
+              );
+              limitReached = true;
+            }
           }
-        }
+        };
+
+        // run sync flow for this order in a tab of the pool; the popup of
+        // the next row is read while it runs
+        await pool.submit(
+          () =>
+            syncOptions
+              ? this.syncShiprocketForOrder(orderId, syncOptions)
+              : null,
+          recordRow
+        );
 
         // short pause before next row to stabilize DOM
 
@@ -1131,10 +2217,59 @@ class OrderListPage {
         // continue to next row; do not fail the whole loop
         // but log to console for debugging
         // eslint-disable-next-line no-console
-        console.warn(`row ${i + 1}: error handling popup - ${e.message}`);
+        console.warn(`row ${rowNumber}: error handling popup - ${e.message}`);
       }
     }
+    // orders still syncing when the loop stopped early
+    await pool.drain();
+    if (this.traceChunks) {
+      this.traceChunks = false;
+      await this.page
+        .context()
+        .tracing.stop()
+        .catch(() => {});
+    }
+    if (paged) {
+      ({ notFound: requestedNotFound, notNew: requestedNotNew } =
+        requestedIdProblems());
+    }
+    if (dryRun) {
+      this.writePlan(plan);
+      return { plan };
+    }
+
     // After processing all rows, print a summary and write it to logs
+    const dataSource = this.tableSource
+      ? `${this.tableSource.toUpperCase()} response (${
+          this.tableRecords.size
+        } orders), table cells as fallback`
+      : "table cells";
+    const totalRetries = countRetries(retriesByStep);
+    const retryLine = totalRetries
+      ? `Sync step retries: ${totalRetries} in ${ordersRetried} order(s) (${Object.entries(
+          retriesByStep
+        )
+          .map(([name, n]) => `${name} ${n}`)
+          .join(", ")})`
+      : null;
+    // one summary line per native dialog, and why the run stopped early
+    const describeDialog = (item, i) =>
+      `${i + 1}. Order: ${item.orderId}, Step: ${item.step}, Type: ${
+        item.type
+      }, Action: ${item.action}${
+        item.rule ? ` (rule ${item.rule})` : ""
+      }, Message: "${item.message}"`;
+    const abortLine = abortedBy
+      ? `Run aborted by dialog policy after order ${abortedBy.orderId}: "${
+          abortedBy.message
+        }"${abortedBy.rule ? ` (rule ${abortedBy.rule})` : ""}`
+      : null;
+    const failedTransient = attempts.filter(
+      (a) => a.failure === "transient"
+    ).length;
+    const failedPermanent = attempts.filter(
+      (a) => a.failure === "permanent"
+    ).length;
     try {
       // Calculate totals
       let totalSuccessful = 0;
@@ -1143,15 +2278,44 @@ class OrderListPage {
       } // Print processing summary
       console.log(`\nPROCESSING SUMMARY`);
       console.log("================================");
+      if (getProfileName()) console.log(`Profile: ${getProfileName()}`);
       console.log(`Total rows attempted: ${totalRowsAttempted}`);
       console.log(`Successfully processed: ${totalSuccessful}`);
       console.log(`Errors/Skipped: ${errors.length}`);
+      if (journalSkipped.length > 0) {
+        console.log(`Skipped (already in journal): ${journalSkipped.length}`);
+      }
+      if (journal.resumed) {
+        console.log(`Resumed run: ${journal.runId}`);
+      }
+      if (requestedNotFound.length) {
+        console.log(
+          `Requested but not in table (${
+            requestedNotFound.length
+          }): ${requestedNotFound.join(", ")}`
+        );
+      }
+      if (requestedNotNew.length) {
+        console.log(
+          `Requested but not "New" (${
+            requestedNotNew.length
+          }): ${requestedNotNew.join(", ")}`
+        );
+      }
       if (maxToProcess) {
         console.log(`PROCESS_COUNT limit: ${maxToProcess}`);
         console.log(
           `Limit reached: ${totalSuccessful >= maxToProcess ? "YES" : "NO"}`
         );
       }
+      console.log(`Order data source: ${dataSource}`);
+      if (retryLine) console.log(retryLine);
+      if (abortLine) console.log(abortLine);
+      if (failedTransient || failedPermanent) {
+        console.log(
+          `Failed syncs: ${failedTransient} transient, ${failedPermanent} permanent`
+        );
+      }
 
       // Print consolidated summary of all successful orders
       if (totalSuccessful > 0) {
@@ -1161,7 +2325,13 @@ class OrderListPage {
         for (const [carrierName, ordersList] of processed) {
           for (const item of ordersList) {
             console.log(
-              `${orderIndex}. Order: ${item.orderId} | Pincode: ${item.pincode} | State: ${item.state} | Payment: ${item.paymentType} | Status: ${item.paymentStatus} | Carrier: ${carrierName}`
+              `${orderIndex}. Order: ${item.orderId} | Pincode: ${
+                item.pincode
+              } | State: ${item.state} | Payment: ${
+                item.paymentType
+              } | Status: ${
+                item.paymentStatus
+              } | Carrier: ${carrierName} | AWB: ${item.awb || "N/A"}`
             );
             orderIndex++;
           }
@@ -1179,19 +2349,25 @@ class OrderListPage {
               item.pincode
             }, State: ${item.state}, Payment Type: ${
               item.paymentType
-            }, Payment Status: ${item.paymentStatus}`
+            }, Payment Status: ${item.paymentStatus}, AWB: ${item.awb || "N/A"}`
           );
         }
       }
 
       // Print errors section if there are any
       if (errors.length > 0) {
-        // Separate dialog-skipped rows from other errors
+        // Separate dialog-skipped, needs-review and address-inconsistent
+        // rows from other errors
         const dialogSkipped = errors.filter((e) =>
           e.error.includes("browser dialog")
         );
+        const needsReview = errors.filter(isNeedsReview);
+        const inconsistent = errors.filter(isAddressInconsistent);
         const otherErrors = errors.filter(
-          (e) => !e.error.includes("browser dialog")
+          (e) =>
+            !e.error.includes("browser dialog") &&
+            !isNeedsReview(e) &&
+            !isAddressInconsistent(e)
         );
 
         if (dialogSkipped.length > 0) {
@@ -1206,7 +2382,39 @@ class OrderListPage {
                 item.pincode
               }, State: ${item.state || "N/A"}, Payment Type: ${
                 item.paymentType || "N/A"
-              }, Payment Status: ${item.paymentStatus || "N/A"}`
+              }, Payment Status: ${
+                item.paymentStatus || "N/A"
+              }${forensicsSuffix(item)}`
+            );
+          }
+        }
+
+        if (needsReview.length > 0) {
+          console.log(`\nNeeds Review (${needsReview.length})`);
+          console.log("--------------------------------");
+          for (let i = 0; i < needsReview.length; i++) {
+            const item = needsReview[i];
+            console.log(
+              `${i + 1}. Order: ${item.orderId}, Name: ${
+                item.name || "N/A"
+              }, Pincode: ${item.pincode}, Score: ${
+                item.score
+              }, Problems: ${item.problems.join("; ")}${forensicsSuffix(item)}`
+            );
+          }
+        }
+
+        if (inconsistent.length > 0) {
+          console.log(`\nAddress Inconsistent (${inconsistent.length})`);
+          console.log("--------------------------------");
+          for (let i = 0; i < inconsistent.length; i++) {
+            const item = inconsistent[i];
+            console.log(
+              `${i + 1}. Order: ${item.orderId}, Pincode: ${
+                item.pincode
+              }, State: ${item.state || "N/A"}, Pincode State: ${
+                item.expectedState
+              }${forensicsSuffix(item)}`
             );
           }
         }
@@ -1219,18 +2427,37 @@ class OrderListPage {
             console.log(
               `${i + 1}. Order: ${item.orderId}, Pincode: ${
                 item.pincode
-              }, Error: ${item.error}`
+              }, Error: ${item.error}${forensicsSuffix(item)}`
             );
           }
         }
       }
 
+      if (sourceMismatches.length > 0) {
+        console.log(`\nData Source Mismatches (${sourceMismatches.length})`);
+        console.log("--------------------------------");
+        for (let i = 0; i < sourceMismatches.length; i++) {
+          const item = sourceMismatches[i];
+          console.log(
+            `${i + 1}. Order: ${item.orderId}, Field: ${
+              item.field
+            }, Response: ${item.response}, Table: ${item.dom}`
+          );
+        }
+      }
+
+      if (dialogsSeen.length > 0) {
+        console.log(`\nDialogs (${dialogsSeen.length})`);
+        console.log("--------------------------------");
+        dialogsSeen.forEach((item, i) => console.log(describeDialog(item, i)));
+      }
+
       // write to logs directory
       try {
         const logsDir = path.join(process.cwd(), "logs");
         if (!fs.existsSync(logsDir)) fs.mkdirSync(logsDir, { recursive: true });
         const ts = new Date().toISOString().replace(/[:.]/g, "-");
-        const filename = path.join(logsDir, `summary-${ts}.txt`);
+        const filename = path.join(logsDir, logFileName("summary", ts, "txt"));
         const lines = [];
 
         // Calculate totals for log file
@@ -1242,15 +2469,44 @@ class OrderListPage {
         // Write processing summary to log
         lines.push("PROCESSING SUMMARY");
         lines.push("================================");
+        if (getProfileName()) lines.push(`Profile: ${getProfileName()}`);
         lines.push(`Total rows attempted: ${totalRowsAttempted}`);
         lines.push(`Successfully processed: ${totalSuccessful}`);
         lines.push(`Errors/Skipped: ${errors.length}`);
+        if (journalSkipped.length > 0) {
+          lines.push(`Skipped (already in journal): ${journalSkipped.length}`);
+        }
+        if (journal.resumed) {
+          lines.push(`Resumed run: ${journal.runId}`);
+        }
+        if (requestedNotFound.length) {
+          lines.push(
+            `Requested but not in table (${
+              requestedNotFound.length
+            }): ${requestedNotFound.join(", ")}`
+          );
+        }
+        if (requestedNotNew.length) {
+          lines.push(
+            `Requested but not "New" (${
+              requestedNotNew.length
+            }): ${requestedNotNew.join(", ")}`
+          );
+        }
         if (maxToProcess) {
           lines.push(`PROCESS_COUNT limit: ${maxToProcess}`);
           lines.push(
             `Limit reached: ${totalSuccessful >= maxToProcess ? "YES" : "NO"}`
           );
         }
+        lines.push(`Order data source: ${dataSource}`);
+        if (retryLine) lines.push(retryLine);
+        if (abortLine) lines.push(abortLine);
+        if (failedTransient || failedPermanent) {
+          lines.push(
+            `Failed syncs: ${failedTransient} transient, ${failedPermanent} permanent`
+          );
+        }
         lines.push(""); // Add empty line
 
         // Write consolidated summary of all successful orders to log
@@ -1261,7 +2517,13 @@ class OrderListPage {
           for (const [carrierName, ordersList] of processed) {
             for (const item of ordersList) {
               lines.push(
-                `${orderIndex}. Order: ${item.orderId} | Pincode: ${item.pincode} | State: ${item.state} | Payment: ${item.paymentType} | Status: ${item.paymentStatus} | Carrier: ${carrierName}`
+                `${orderIndex}. Order: ${item.orderId} | Pincode: ${
+                  item.pincode
+                } | State: ${item.state} | Payment: ${
+                  item.paymentType
+                } | Status: ${
+                  item.paymentStatus
+                } | Carrier: ${carrierName} | AWB: ${item.awb || "N/A"}`
               );
               orderIndex++;
             }
@@ -1280,7 +2542,9 @@ class OrderListPage {
                 item.pincode
               }, State: ${item.state}, Payment Type: ${
                 item.paymentType
-              }, Payment Status: ${item.paymentStatus}`
+              }, Payment Status: ${item.paymentStatus}, AWB: ${
+                item.awb || "N/A"
+              }`
             );
           }
           lines.push(""); // Add empty line between carriers
@@ -1288,12 +2552,18 @@ class OrderListPage {
 
         // Write errors section if there are any
         if (errors.length > 0) {
-          // Separate dialog-skipped rows from other errors in log file too
+          // Separate dialog-skipped, needs-review and address-inconsistent
+          // rows from other errors in log file too
           const dialogSkipped = errors.filter((e) =>
             e.error.includes("browser dialog")
           );
+          const needsReview = errors.filter(isNeedsReview);
+          const inconsistent = errors.filter(isAddressInconsistent);
           const otherErrors = errors.filter(
-            (e) => !e.error.includes("browser dialog")
+            (e) =>
+              !e.error.includes("browser dialog") &&
+              !isNeedsReview(e) &&
+              !isAddressInconsistent(e)
           );
 
           if (dialogSkipped.length > 0) {
@@ -1308,7 +2578,43 @@ class OrderListPage {
                   item.pincode
                 }, State: ${item.state || "N/A"}, Payment Type: ${
                   item.paymentType || "N/A"
-                }, Payment Status: ${item.paymentStatus || "N/A"}`
+                }, Payment Status: ${
+                  item.paymentStatus || "N/A"
+                }${forensicsSuffix(item)}`
+              );
+            }
+            lines.push(""); // Add empty line
+          }
+
+          if (needsReview.length > 0) {
+            lines.push(`Needs Review (${needsReview.length})`);
+            lines.push("--------------------------------");
+            for (let i = 0; i < needsReview.length; i++) {
+              const item = needsReview[i];
+              lines.push(
+                `${i + 1}. Order: ${item.orderId}, Name: ${
+                  item.name || "N/A"
+                }, Pincode: ${item.pincode}, Score: ${
+                  item.score
+                }, Problems: ${item.problems.join("; ")}${forensicsSuffix(
+                  item
+                )}`
+              );
+            }
+            lines.push(""); // Add empty line
+          }
+
+          if (inconsistent.length > 0) {
+            lines.push(`Address Inconsistent (${inconsistent.length})`);
+            lines.push("--------------------------------");
+            for (let i = 0; i < inconsistent.length; i++) {
+              const item = inconsistent[i];
+              lines.push(
+                `${i + 1}. Order: ${item.orderId}, Pincode: ${
+                  item.pincode
+                }, State: ${item.state || "N/A"}, Pincode State: ${
+                  item.expectedState
+                }${forensicsSuffix(item)}`
               );
             }
             lines.push(""); // Add empty line
@@ -1322,15 +2628,125 @@ class OrderListPage {
               lines.push(
                 `${i + 1}. Order: ${item.orderId}, Pincode: ${
                   item.pincode
-                }, Error: ${item.error}`
+                }, Error: ${item.error}${forensicsSuffix(item)}`
               );
             }
             lines.push(""); // Add empty line after errors
           }
         }
 
+        if (sourceMismatches.length > 0) {
+          lines.push(`Data Source Mismatches (${sourceMismatches.length})`);
+          lines.push("--------------------------------");
+          for (let i = 0; i < sourceMismatches.length; i++) {
+            const item = sourceMismatches[i];
+            lines.push(
+              `${i + 1}. Order: ${item.orderId}, Field: ${
+                item.field
+              }, Response: ${item.response}, Table: ${item.dom}`
+            );
+          }
+          lines.push(""); // Add empty line
+        }
+
+        if (dialogsSeen.length > 0) {
+          lines.push(`Dialogs (${dialogsSeen.length})`);
+          lines.push("--------------------------------");
+          dialogsSeen.forEach((item, i) => lines.push(describeDialog(item, i)));
+          lines.push(""); // Add empty line
+        }
+
         fs.writeFileSync(filename, lines.join("\n"));
         console.log(`Summary written to ${filename}`);
+
+        // machine-readable copies of the same summary
+        const dialogSkippedCount = errors.filter((e) =>
+          e.error.includes("browser dialog")
+        ).length;
+        const addressInconsistent = errors
+          .filter(isAddressInconsistent)
+          .map((e) => ({
+            orderId: e.orderId,
+            pincode: e.pincode,
+            state: e.state,
+            expectedState: e.expectedState,
+            forensics: e.forensics || null,
+          }));
+        const needsReview = errors.filter(isNeedsReview).map((e) => ({
+          orderId: e.orderId,
+          name: e.name,
+          phone: e.phone,
+          pincode: e.pincode,
+          score: e.score,
+          problems: e.problems,
+          forensics: e.forensics || null,
+        }));
+        const carriers = {};
+        for (const [carrierName, ordersList] of processed) {
+          carriers[carrierName] = ordersList.length;
+        }
+        const summary = {
+          generatedAt: new Date().toISOString(),
+          runId: journal.runId,
+          profile: getProfileName(),
+          resumed: journal.resumed,
+          totals: {
+            rowsAttempted: totalRowsAttempted,
+            successful: totalSuccessful,
+            errorsSkipped: errors.length,
+            skippedDialog: dialogSkippedCount,
+            addressInconsistent: addressInconsistent.length,
+            needsReview: needsReview.length,
+            processingErrors:
+              errors.length -
+              dialogSkippedCount -
+              addressInconsistent.length -
+              needsReview.length,
+            skippedJournal: journalSkipped.length,
+            sourceMismatches: sourceMismatches.length,
+            retries: totalRetries,
+            ordersRetried,
+            failedTransient,
+            failedPermanent,
+            dialogs: dialogsSeen.length,
+            processCountLimit: maxToProcess,
+            limitReached: maxToProcess ? totalSuccessful >= maxToProcess : null,
+          },
+          carriers,
+          orders: attempts,
+          journalSkipped,
+          addressInconsistent,
+          needsReview,
+          requestedNotFound,
+          requestedNotNew,
+          dataSource: this.tableSource || "table",
+          sourceMismatches,
+          retriesByStep,
+          dialogs: dialogsSeen,
+          abortedBy,
+        };
+        const jsonFile = path.join(logsDir, logFileName("summary", ts, "json"));
+        writeJsonSummary(jsonFile, summary);
+        console.log(`JSON summary written to ${jsonFile}`);
+        const csvFile = path.join(logsDir, logFileName("summary", ts, "csv"));
+        writeCsvSummary(csvFile, summary);
+        console.log(`CSV summary written to ${csvFile}`);
+
+        // workbook for the warehouse team: one sheet per carrier plus the
+        // errors, needs-review and dialog-skipped orders
+        const dispatchFile = path.join(
+          logsDir,
+          logFileName("dispatch", ts, "xlsx")
+        );
+        if (
+          writeDispatchWorkbook(dispatchFile, {
+            processed,
+            errors,
+            needsReview: errors.filter(isNeedsReview),
+          })
+        ) {
+          console.log(`Dispatch workbook written to ${dispatchFile}`);
+        }
       } catch (e) {
         // ignore file write errors
       }
@@ -1339,6 +2755,9 @@ class OrderListPage {
       console.error("Error in summary generation:", e.message);
       console.error("Stack trace:", e.stack);
     }
+
+    // mark the run as finished so --resume does not pick it up again
+    journal.end();
   }
 }
 
@@ -1349,4 +2768,9 @@ module.exports = {
   loadExcelCacheForCarrier,
   getCarrierPincodes,
   loadExcelCaches,
+  listServiceabilityCarriers,
+  getCarrierChain,
+  isDryRun,
+  isPincodeServiceable,
+  checkCarrierConditions,
 };
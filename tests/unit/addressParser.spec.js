@@ -0,0 +1,99 @@
+const { test, expect } = require("@playwright/test");
+const { parseAddress, normalizePhone } = require("../utils/addressParser");
+
+test.describe("parseAddress", () => {
+  test("reads one labelled value per line", () => {
+    const { address } = parseAddress(
+      [
+        "Name : Ravi Kumar",
+        "Address Line 1 : 12, MG Road, Near Temple",
+        "City : Kottayam",
+        "State : Kerala",
+        "Pincode : 686 001",
+        "Mobile No. : +91 98470 12345",
+      ].join("\n")
+    );
+    expect(address).toEqual({
+      name: "Ravi Kumar",
+      phone: "9847012345",
+      addressLines: ["12, MG Road, Near Temple"],
+      city: "Kottayam",
+      district: null,
+      state: "Kerala",
+      pincode: "686001",
+      country: null,
+    });
+  });
+
+  test("stops the state at a comma", () => {
+    const { address } = parseAddress(
+      "State : Tamil Nadu, India\nPincode : 600001"
+    );
+    expect(address.state).toBe("Tamil Nadu");
+    expect(address.country).toBe("India");
+  });
+
+  test("splits a one-line popup on commas and labels", () => {
+    const { address } = parseAddress(
+      "Name : x, Pincode : 686001, State : Kerala"
+    );
+    expect(address.name).toBe("x");
+    expect(address.pincode).toBe("686001");
+    expect(address.state).toBe("Kerala");
+  });
+
+  test("splits at the next label without a comma", () => {
+    const { address } = parseAddress("State : Kerala Pincode : 686001");
+    expect(address.state).toBe("Kerala");
+    expect(address.pincode).toBe("686001");
+  });
+
+  test("falls back to the old labelled patterns", () => {
+    const { address } = parseAddress("Ravi\nState Kerala\nPincode686001");
+    expect(address.state).toBe("Kerala");
+    expect(address.pincode).toBe("686001");
+  });
+
+  test("finds the pincode and state in unlabelled lines", () => {
+    const { address } = parseAddress(
+      "Ravi\nHouse 12, Ward 3\nKottayam, Kerala 686001\n9847012345"
+    );
+    expect(address.pincode).toBe("686001");
+    expect(address.state).toBe("Kerala");
+    expect(address.phone).toBe("9847012345");
+    expect(address.addressLines).toEqual([
+      "Ravi",
+      "House 12, Ward 3",
+      "Kottayam, Kerala 686001",
+    ]);
+  });
+
+  test("never reads a phone number as a pincode", () => {
+    const { address } = parseAddress("Ravi\nPhone : 9686001234\nKottayam");
+    expect(address.pincode).toBeNull();
+  });
+
+  test("prefers the shipping block", () => {
+    const { shipping, billing, address } = parseAddress(
+      [
+        "Billing Address",
+        "Name : Anu",
+        "Pincode : 600001",
+        "Shipping Address",
+        "Name : Ravi",
+        "Pincode : 686001",
+      ].join("\n")
+    );
+    expect(address).toBe(shipping);
+    expect(shipping.pincode).toBe("686001");
+    expect(billing.pincode).toBe("600001");
+  });
+});
+
+test.describe("normalizePhone", () => {
+  test("drops +91 and 0 prefixes", () => {
+    expect(normalizePhone("+91 98470 12345")).toBe("9847012345");
+    expect(normalizePhone("09847012345")).toBe("9847012345");
+    expect(normalizePhone("")).toBeNull();
+  });
+});
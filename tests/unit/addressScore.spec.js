@@ -0,0 +1,60 @@
+const { test, expect } = require("@playwright/test");
+const {
+  DEFAULT_MIN_SCORE,
+  getMinAddressScore,
+  scoreAddress,
+} = require("../utils/addressScore");
+
+const GOOD = {
+  name: "Ravi Kumar",
+  phone: "9847012345",
+  addressLines: ["12, MG Road, Near Temple"],
+  city: "Kottayam",
+  district: null,
+  state: "Kerala",
+  pincode: "686001",
+};
+
+test.describe("scoreAddress", () => {
+  test("a complete address scores 100", () => {
+    expect(scoreAddress(GOOD)).toEqual({ score: 100, problems: [] });
+  });
+
+  test("each missing part costs its points", () => {
+    const { score, problems } = scoreAddress({
+      ...GOOD,
+      phone: "12345",
+      state: "Kottayam",
+      addressLines: ["12"],
+    });
+    expect(score).toBe(55);
+    expect(problems).toEqual([
+      "phone '12345' is not a 10-digit mobile number",
+      "state 'Kottayam' not recognised",
+      "street address too short ('12')",
+    ]);
+  });
+
+  test("an empty address scores 0", () => {
+    const { score, problems } = scoreAddress(null);
+    expect(score).toBe(0);
+    expect(problems).toHaveLength(5);
+  });
+});
+
+test.describe("getMinAddressScore", () => {
+  test.afterEach(() => {
+    delete process.env.ADDRESS_MIN_SCORE;
+  });
+
+  test("reads ADDRESS_MIN_SCORE", () => {
+    expect(getMinAddressScore()).toBe(DEFAULT_MIN_SCORE);
+    process.env.ADDRESS_MIN_SCORE = "0";
+    expect(getMinAddressScore()).toBe(0);
+  });
+
+  test("falls back to the default for invalid values", () => {
+    process.env.ADDRESS_MIN_SCORE = "120";
+    expect(getMinAddressScore()).toBe(DEFAULT_MIN_SCORE);
+  });
+});
@@ -0,0 +1,110 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, expect } = require("@playwright/test");
+const {
+  loadCarrierRules,
+  validateRules,
+  evaluateCarrierRules,
+  getRuleCarriers,
+} = require("../utils/carrierRules");
+
+const PREPAID_TN = {
+  state: "Tamil Nadu",
+  paymentType: "Prepaid",
+  paymentStatus: "Success",
+  pincode: "600001",
+};
+
+test.describe("validateRules", () => {
+  test("accepts the shipped rules", () => {
+    const file = path.join(__dirname, "..", "..", "carrier-rules.json");
+    expect(validateRules(JSON.parse(fs.readFileSync(file, "utf8")))).toEqual(
+      []
+    );
+  });
+
+  test("lists every problem", () => {
+    const problems = validateRules({
+      carriers: {
+        DTDC: [
+          { name: "a", when: { field: "city", equals: "Chennai" } },
+          { name: "a", when: { all: [] } },
+          { name: "b", when: { field: "state", matches: "(" } },
+        ],
+        Delhivery: {},
+      },
+    });
+    expect(problems).toHaveLength(5);
+    expect(problems.join("\n")).toContain("'field' must be one of");
+    expect(problems.join("\n")).toContain("duplicate rule name 'a'");
+  });
+});
+
+test.describe("evaluateCarrierRules", () => {
+  test.afterEach(() => {
+    delete process.env.CARRIER_RULES_FILE;
+    loadCarrierRules({ force: true });
+  });
+
+  test("the shipped rules", () => {
+    loadCarrierRules({ force: true });
+    expect(evaluateCarrierRules("stcourier", PREPAID_TN).eligible).toBe(true);
+    expect(
+      evaluateCarrierRules("STCourier", { ...PREPAID_TN, state: "Kerala" })
+    ).toMatchObject({
+      eligible: false,
+      rule: "stcourier-tamil-nadu-prepaid-success",
+    });
+    expect(evaluateCarrierRules("Shiprocket", PREPAID_TN).eligible).toBe(false);
+    expect(
+      evaluateCarrierRules("Shiprocket", { ...PREPAID_TN, paymentType: "COD" })
+        .eligible
+    ).toBe(true);
+    expect(evaluateCarrierRules("DTDC", PREPAID_TN).eligible).toBe(true);
+  });
+
+  test("names the condition that failed", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "carrier-rules-"));
+    fs.writeFileSync(
+      path.join(dir, "rules.json"),
+      JSON.stringify({
+        carriers: {
+          DTDC: [
+            {
+              name: "no-northeast",
+              when: {
+                not: { field: "pincode", matches: "^7[89]", name: "northeast" },
+              },
+            },
+          ],
+        },
+      })
+    );
+    process.env.CARRIER_RULES_FILE = path.join(dir, "rules.json");
+    loadCarrierRules({ force: true });
+    const result = evaluateCarrierRules("DTDC", {
+      ...PREPAID_TN,
+      pincode: "781001",
+    });
+    expect(result.rule).toBe("no-northeast");
+    expect(result.skipReason).toContain("failed: NOT northeast");
+  });
+});
+
+test.describe("getRuleCarriers", () => {
+  test("reads carrier-rules.json from the given folder", () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "carrier-rules-"));
+    fs.writeFileSync(
+      path.join(dir, "carrier-rules.json"),
+      JSON.stringify({
+        carriers: {
+          Delhivery: [
+            { name: "cod-only", when: { field: "paymentType", equals: "COD" } },
+          ],
+        },
+      })
+    );
+    expect(getRuleCarriers({ baseDir: dir })).toEqual(["Delhivery"]);
+  });
+});
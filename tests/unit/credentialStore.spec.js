@@ -0,0 +1,68 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, expect } = require("@playwright/test");
+const {
+  saveCredentials,
+  loadCredentials,
+  clearCredentials,
+  handOffEnv,
+  takeHandedOffCredentials,
+} = require("../utils/credentialStore");
+
+test.describe("credential store", () => {
+  test.beforeEach(() => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "credentials-"));
+    process.env.CREDENTIALS_FILE = path.join(dir, "credentials.json");
+  });
+
+  test.afterEach(() => {
+    delete process.env.CREDENTIALS_FILE;
+  });
+
+  test("round-trips the credentials without storing them in clear", () => {
+    const file = saveCredentials(
+      { username: "admin", password: "s3cret-pass" },
+      "correct horse"
+    );
+    expect(fs.readFileSync(file, "utf8")).not.toContain("s3cret-pass");
+    const stored = loadCredentials("correct horse");
+    expect(stored.username).toBe("admin");
+    expect(stored.password).toBe("s3cret-pass");
+  });
+
+  test("rejects a wrong passphrase", () => {
+    saveCredentials({ username: "admin", password: "pw" }, "correct horse");
+    expect(() => loadCredentials("wrong horse")).toThrow(/Wrong passphrase/);
+    expect(() => loadCredentials("")).toThrow(/locked/);
+  });
+
+  test("clears the file", () => {
+    saveCredentials({ username: "admin", password: "pw" }, "correct horse");
+    expect(clearCredentials()).toBe(true);
+    expect(clearCredentials()).toBe(false);
+  });
+});
+
+test.describe("handing credentials to the Playwright process", () => {
+  test("passes the credentials but not the passphrase", () => {
+    const env = handOffEnv(
+      { PATH: "/bin", CREDENTIALS_PASSPHRASE: "correct horse" },
+      { username: "admin", password: "pw" }
+    );
+    expect(env.PATH).toBe("/bin");
+    expect(env.CREDENTIALS_PASSPHRASE).toBeUndefined();
+    expect(Object.values(env).join(" ")).not.toContain("correct horse");
+  });
+
+  test("the credentials can be taken once", () => {
+    const env = handOffEnv({}, { username: "admin", password: "pw" });
+    Object.assign(process.env, env);
+    expect(takeHandedOffCredentials()).toEqual({
+      username: "admin",
+      password: "pw",
+    });
+    expect(takeHandedOffCredentials()).toBeNull();
+    expect(JSON.stringify(process.env)).not.toContain('"pw"');
+  });
+});
@@ -0,0 +1,87 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, expect } = require("@playwright/test");
+const {
+  loadDialogPolicy,
+  validatePolicy,
+  dialogAction,
+} = require("../utils/dialogPolicy");
+
+// point DIALOG_POLICY_FILE at a temporary file holding `doc` and load it
+function usePolicy(doc) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "dialog-policy-"));
+  const file = path.join(dir, "dialog-policy.json");
+  fs.writeFileSync(file, JSON.stringify(doc));
+  process.env.DIALOG_POLICY_FILE = file;
+  return loadDialogPolicy({ force: true });
+}
+
+test.describe("validatePolicy", () => {
+  test("accepts the shipped policy", () => {
+    const file = path.join(__dirname, "..", "..", "dialog-policy.json");
+    expect(validatePolicy(JSON.parse(fs.readFileSync(file, "utf8")))).toEqual(
+      []
+    );
+  });
+
+  test("lists every problem", () => {
+    const problems = validatePolicy({
+      steps: { checkout: "skip", save: "ignore" },
+      rules: [
+        { name: "a", matches: "(", action: "skip" },
+        { name: "a", matches: "x", action: "skip", steps: ["paying"] },
+      ],
+    });
+    expect(problems).toHaveLength(5);
+    expect(problems.join("\n")).toContain("invalid regular expression");
+    expect(problems.join("\n")).toContain("duplicate rule name 'a'");
+  });
+});
+
+test.describe("dialogAction", () => {
+  test.afterEach(() => {
+    delete process.env.DIALOG_POLICY_FILE;
+    loadDialogPolicy({ force: true });
+  });
+
+  test("the first matching rule wins", () => {
+    usePolicy({
+      rules: [
+        { name: "wallet", matches: "insufficient balance", action: "abort" },
+        { name: "any", matches: ".", action: "skip" },
+      ],
+    });
+    expect(dialogAction("Insufficient Balance", "save")).toEqual({
+      action: "abort",
+      rule: "wallet",
+    });
+  });
+
+  test("a rule only applies to its steps", () => {
+    usePolicy({
+      rules: [
+        {
+          name: "already-synced",
+          matches: "already synced",
+          action: "skip",
+          steps: ["syncButton"],
+        },
+      ],
+    });
+    expect(dialogAction("Order already synced", "syncButton").action).toBe(
+      "skip"
+    );
+    expect(dialogAction("Order already synced", "save")).toEqual({
+      action: "accept",
+      rule: null,
+    });
+  });
+
+  test("unmatched messages get their step's action", () => {
+    usePolicy({ steps: { verify: "skip" } });
+    expect(dialogAction("Saved", "verify").action).toBe("skip");
+    expect(dialogAction("Saved", "syncButton").action).toBe("skip");
+    expect(dialogAction("Saved", "goto").action).toBe("dismiss");
+  });
+});
@@ -0,0 +1,69 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, expect } = require("@playwright/test");
+const {
+  parseOrderIdSpec,
+  orderIdsFromRows,
+  readOrderIdsFromFile,
+} = require("../utils/orderSelection");
+
+// write `text` to a temporary file named `name` and return its path
+function tempFile(name, text) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "order-ids-"));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+test.describe("parseOrderIdSpec", () => {
+  test("reads IDs and ranges", () => {
+    expect(parseOrderIdSpec("1590-1592, 1650;1700 1701")).toEqual([
+      "1590",
+      "1591",
+      "1592",
+      "1650",
+      "1700",
+      "1701",
+    ]);
+  });
+
+  test("keeps a range with spaces around the dash", () => {
+    expect(parseOrderIdSpec("1590 - 1592")).toEqual(["1590", "1591", "1592"]);
+  });
+
+  test("rejects a range larger than the limit", () => {
+    expect(() => parseOrderIdSpec("1-20000")).toThrow(/larger than/);
+  });
+});
+
+test.describe("orderIdsFromRows", () => {
+  test("reads the Order ID column only", () => {
+    const rows = [
+      ["Phone", "Order ID", "Amount", "Pincode"],
+      ["98765-43210", "1590", "499.00", "686001"],
+      ["9847012345", "1591.0", "1299", "682001"],
+    ];
+    expect(orderIdsFromRows(rows)).toEqual(["1590", "1591"]);
+  });
+
+  test("falls back to the first column", () => {
+    const rows = [["1590", "686001"], [], ["1591", "682001"]];
+    expect(orderIdsFromRows(rows)).toEqual(["1590", "1591"]);
+  });
+});
+
+test.describe("readOrderIdsFromFile", () => {
+  test("a .csv file with a phone column does not throw", () => {
+    const file = tempFile(
+      "orders.csv",
+      "Order No,Phone,Pincode\n1590,98765-43210,686001\n1591,98470 12345,682001\n"
+    );
+    expect(readOrderIdsFromFile(file)).toEqual(["1590", "1591"]);
+  });
+
+  test("a .txt file lists plain IDs, without ranges", () => {
+    const file = tempFile("orders.txt", "1590\n1591 1592\n1600-1700\n");
+    expect(readOrderIdsFromFile(file)).toEqual(["1590", "1591", "1592"]);
+  });
+});
@@ -0,0 +1,127 @@
+const { test, expect } = require("@playwright/test");
+const {
+  cellText,
+  orderIdFromCell,
+  recordsFromJson,
+  recordsFromRows,
+  textShowsOrderId,
+  compareRecord,
+} = require("../utils/orderTable");
+
+const HEADERS = ["#", "Order", "Customer", "Payment Type", "Payment Status"];
+const ADDRESS_CELL =
+  '<button class="btn address-show-btn" data-order-id="1590">1590</button>';
+
+test.describe("cellText", () => {
+  test("drops tags, entities and extra spaces", () => {
+    expect(cellText("<b>Cash &amp; Carry</b>&nbsp; <i>x</i>")).toBe(
+      "Cash & Carry x"
+    );
+    expect(cellText(null)).toBe("");
+  });
+});
+
+test.describe("orderIdFromCell", () => {
+  test("reads the address button's attribute, then its text", () => {
+    expect(orderIdFromCell(ADDRESS_CELL)).toBe("1590");
+    expect(
+      orderIdFromCell('<a class="address-show-btn" href="#">1591</a>')
+    ).toBe("1591");
+    expect(orderIdFromCell("1592")).toBeNull();
+  });
+});
+
+test.describe("recordsFromJson", () => {
+  test("array rows: the address button marks the order ID column", () => {
+    const records = recordsFromJson(
+      {
+        draw: 1,
+        data: [
+          [
+            "1",
+            ADDRESS_CELL,
+            'Ravi <span class="badge bg-info">New</span>',
+            "Prepaid",
+            "Success",
+          ],
+        ],
+      },
+      HEADERS
+    );
+    expect(records).toEqual([
+      {
+        orderId: "1590",
+        name: "Ravi",
+        isNew: true,
+        paymentType: "Prepaid",
+        paymentStatus: "Success",
+        orderStatus: null,
+      },
+    ]);
+  });
+
+  test("object rows are matched by key", () => {
+    const [record] = recordsFromJson(
+      {
+        aaData: [
+          {
+            order_id: 1591,
+            customer_name: "Anu",
+            payment_method: "COD",
+            status: "New",
+          },
+        ],
+      },
+      HEADERS
+    );
+    expect(record).toMatchObject({
+      orderId: "1591",
+      name: "Anu",
+      isNew: true,
+      paymentType: "COD",
+      orderStatus: "New",
+    });
+  });
+
+  test("skips the empty-table placeholder and non-table JSON", () => {
+    expect(
+      recordsFromJson({ data: [["No data available in table"]] }, HEADERS)
+    ).toEqual([]);
+    expect(recordsFromJson({ ok: true }, HEADERS)).toBeNull();
+  });
+});
+
+test.describe("textShowsOrderId", () => {
+  test("matches the ID as a whole word only", () => {
+    expect(textShowsOrderId("1\t1590\tRavi New\tPrepaid", "1590")).toBe(true);
+    expect(textShowsOrderId("#1590", "1590")).toBe(true);
+    expect(textShowsOrderId("11590 Ravi", "1590")).toBe(false);
+    expect(textShowsOrderId("SO-12.5 Ravi", "SO-12.5")).toBe(true);
+    expect(textShowsOrderId("SO-1205", "SO-12.5")).toBe(false);
+    expect(textShowsOrderId("1590", null)).toBe(false);
+  });
+});
+
+test.describe("compareRecord", () => {
+  test("reports fields both sides read but disagree on", () => {
+    const [record] = recordsFromRows(HEADERS, [
+      ["1", ADDRESS_CELL, "Ravi", "Prepaid", "Success"],
+    ]);
+    expect(
+      compareRecord(record, {
+        isNew: false,
+        paymentType: "prepaid",
+        paymentStatus: null,
+      })
+    ).toEqual([]);
+    expect(compareRecord(record, { isNew: true, paymentType: "COD" })).toEqual([
+      { orderId: "1590", field: "isNew", response: false, dom: true },
+      {
+        orderId: "1590",
+        field: "paymentType",
+        response: "Prepaid",
+        dom: "COD",
+      },
+    ]);
+  });
+});
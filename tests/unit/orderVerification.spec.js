@@ -0,0 +1,115 @@
+const { test, expect } = require("@playwright/test");
+const {
+  readOrderDetails,
+  carrierMatches,
+  checkSavedOrder,
+} = require("../utils/orderVerification");
+
+// just enough of a form field for readOrderDetails
+function field(id, value, { tagName = "INPUT", inModal = false } = {}) {
+  return {
+    id,
+    name: "",
+    type: "text",
+    tagName,
+    value,
+    selectedOptions: [{ textContent: value }],
+    closest: () => (inModal ? {} : null),
+  };
+}
+
+// run readOrderDetails against a page holding only these form fields
+function readFields(fields) {
+  global.document = {
+    querySelectorAll: (selector) =>
+      selector.startsWith("input") ? fields : [],
+  };
+  try {
+    return readOrderDetails();
+  } finally {
+    delete global.document;
+  }
+}
+
+test.describe("readOrderDetails", () => {
+  test("reads fields whose id is the value's name", () => {
+    expect(
+      readFields([
+        field("awb_no", "1234567890"),
+        field("courier_name", "DTDC", { tagName: "SELECT" }),
+        field("order_status", "Shipped", { tagName: "SELECT" }),
+      ])
+    ).toEqual({ awb: "1234567890", carrier: "DTDC", status: "Shipped" });
+  });
+
+  test("ignores fields that only mention a value", () => {
+    expect(
+      readFields([
+        field("logistic_sync_date", "2026-10-19"),
+        field("tracking_url", "https://track.example/1"),
+        field("courier", "Delhivery"),
+      ])
+    ).toEqual({ awb: null, carrier: "Delhivery", status: null });
+  });
+
+  test("ignores the Sync with Shiprocket modal", () => {
+    const details = readFields([
+      field("logistic", "Shiprocket", { inModal: true }),
+      field("carrier", "DTDC"),
+    ]);
+    expect(details.carrier).toBe("DTDC");
+  });
+});
+
+test.describe("checkSavedOrder", () => {
+  test("accepts a saved order", () => {
+    const check = checkSavedOrder(
+      { awb: "123", carrier: "DTDC Express", status: "Shipped" },
+      { carrier: "DTDC", statusBefore: "New" }
+    );
+    expect(check).toEqual({ ok: true, problems: [], failure: null });
+  });
+
+  test("a missing AWB or unchanged status is transient", () => {
+    const check = checkSavedOrder(
+      { awb: null, carrier: "DTDC", status: "Pending" },
+      { carrier: "DTDC", statusBefore: "pending" }
+    );
+    expect(check.ok).toBe(false);
+    expect(check.failure).toBe("transient");
+    expect(check.problems).toHaveLength(2);
+  });
+
+  test("a different carrier is permanent", () => {
+    const check = checkSavedOrder(
+      { awb: null, carrier: "Delhivery", status: "Shipped" },
+      { carrier: "DTDC" }
+    );
+    expect(check.failure).toBe("permanent");
+    expect(check.problems).toContain(
+      "carrier shown is 'Delhivery', expected 'DTDC'"
+    );
+  });
+
+  test("checkStatus: false only checks the carrier and AWB", () => {
+    const shown = { awb: "SR123", carrier: "Shiprocket", status: null };
+    expect(
+      checkSavedOrder(shown, { carrier: "Shiprocket", checkStatus: false }).ok
+    ).toBe(true);
+    expect(
+      checkSavedOrder(
+        { ...shown, awb: null },
+        { carrier: "Shiprocket", checkStatus: false }
+      ).problems
+    ).toEqual(["no AWB on the order page"]);
+  });
+});
+
+test.describe("carrierMatches", () => {
+  test("ignores case, spaces and suffixes", () => {
+    expect(carrierMatches("ST Courier", "stcourier")).toBe(true);
+    expect(carrierMatches("Delhivery", "Delhivery Surface")).toBe(true);
+    expect(carrierMatches("DTDC", "Delhivery")).toBe(false);
+    expect(carrierMatches("DTDC", "")).toBe(false);
+  });
+});
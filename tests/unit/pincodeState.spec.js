@@ -0,0 +1,62 @@
+const { test, expect } = require("@playwright/test");
+const {
+  normalizeStateName,
+  statesForPincode,
+  checkPincodeState,
+} = require("../utils/pincodeState");
+
+test.describe("normalizeStateName", () => {
+  test("accepts spellings and abbreviations", () => {
+    expect(normalizeStateName("TN")).toBe("Tamil Nadu");
+    expect(normalizeStateName("tamil-nadu")).toBe("Tamil Nadu");
+    expect(normalizeStateName("Orissa")).toBe("Odisha");
+    expect(normalizeStateName("Pondicherry")).toBe("Puducherry");
+  });
+
+  test("returns null for unknown names", () => {
+    expect(normalizeStateName("Kottayam")).toBeNull();
+    expect(normalizeStateName("")).toBeNull();
+  });
+});
+
+test.describe("statesForPincode", () => {
+  test("longest prefix wins", () => {
+    expect(statesForPincode("246149")).toEqual(["Uttarakhand"]);
+    expect(statesForPincode("246701")).toEqual(["Uttar Pradesh"]);
+    expect(statesForPincode("605001")).toEqual(["Tamil Nadu", "Puducherry"]);
+  });
+
+  test("returns [] for invalid pincodes", () => {
+    expect(statesForPincode("24670")).toEqual([]);
+    expect(statesForPincode(null)).toEqual([]);
+  });
+});
+
+test.describe("checkPincodeState", () => {
+  test("flags a state the pincode can't belong to", () => {
+    const result = checkPincodeState("689672", "Tamil Nadu");
+    expect(result.consistent).toBe(false);
+    expect(result.reason).toContain("Kerala");
+  });
+
+  test("accepts border pincodes in either state", () => {
+    for (const [pincode, state] of [
+      ["246701", "Uttar Pradesh"],
+      ["246721", "UP"],
+      ["246749", "Uttar Pradesh"],
+      ["134152", "Punjab"],
+      ["134109", "Haryana"],
+      ["507126", "Andhra Pradesh"],
+      ["507101", "Telangana"],
+      ["756084", "West Bengal"],
+      ["756001", "Odisha"],
+    ]) {
+      expect(checkPincodeState(pincode, state).consistent).toBe(true);
+    }
+  });
+
+  test("can't check without a known state or prefix", () => {
+    expect(checkPincodeState("689672", "").consistent).toBeNull();
+    expect(checkPincodeState("689672", "Kottayam").consistent).toBeNull();
+  });
+});
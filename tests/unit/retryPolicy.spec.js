@@ -0,0 +1,113 @@
+const { test, expect } = require("@playwright/test");
+const {
+  PermanentError,
+  classifyError,
+  getRetryPolicy,
+  withRetry,
+  countRetries,
+} = require("../utils/retryPolicy");
+
+// no backoff, so the retries run straight away
+const FAST = {
+  goto: { attempts: 3, backoffMs: 0 },
+  save: { attempts: 2, backoffMs: 0 },
+};
+
+function timeoutError() {
+  const e = new Error("page.goto: Timeout 15000ms exceeded.");
+  e.name = "TimeoutError";
+  return e;
+}
+
+test.describe("classifyError", () => {
+  test("timeouts and dropped connections are transient", () => {
+    expect(classifyError(timeoutError())).toBe("transient");
+    expect(classifyError(new Error("Element is not attached to the DOM"))).toBe(
+      "transient"
+    );
+    expect(classifyError(new Error("net::ERR_CONNECTION_RESET"))).toBe(
+      "transient"
+    );
+  });
+
+  test("anything else is permanent", () => {
+    expect(classifyError(new PermanentError("DTDC not in dropdown"))).toBe(
+      "permanent"
+    );
+    expect(classifyError(new Error("unexpected"))).toBe("permanent");
+    expect(classifyError(null)).toBe("permanent");
+  });
+});
+
+test.describe("getRetryPolicy", () => {
+  test.afterEach(() => {
+    delete process.env.RETRY_POLICY;
+  });
+
+  test("applies RETRY_POLICY over the defaults", () => {
+    process.env.RETRY_POLICY = "goto=4/3000,save=1";
+    const policy = getRetryPolicy();
+    expect(policy.goto).toEqual({ attempts: 4, backoffMs: 3000 });
+    expect(policy.save.attempts).toBe(1);
+    expect(policy.fetch.attempts).toBe(2);
+  });
+
+  test("default sets every step and invalid entries are ignored", () => {
+    process.env.RETRY_POLICY = "default=1,bogus=3,goto=0";
+    const policy = getRetryPolicy();
+    for (const step of Object.keys(policy)) {
+      expect(policy[step].attempts).toBe(1);
+    }
+  });
+});
+
+test.describe("withRetry", () => {
+  test("retries a transient failure and counts the retry", async () => {
+    const retries = {};
+    const attempts = [];
+    const result = await withRetry(
+      "goto",
+      async (attempt) => {
+        attempts.push(attempt);
+        if (attempt < 2) throw timeoutError();
+        return "ok";
+      },
+      { retries, policy: FAST }
+    );
+    expect(result).toBe("ok");
+    expect(attempts).toEqual([1, 2]);
+    expect(retries).toEqual({ goto: 1 });
+  });
+
+  test("does not retry a permanent failure", async () => {
+    const retries = {};
+    let calls = 0;
+    const error = await withRetry(
+      "save",
+      async () => {
+        calls++;
+        throw new PermanentError("no save button");
+      },
+      { retries, policy: FAST }
+    ).catch((e) => e);
+    expect(calls).toBe(1);
+    expect(error.step).toBe("save");
+    expect(error.failure).toBe("permanent");
+    expect(retries).toEqual({});
+  });
+
+  test("gives up after the last attempt", async () => {
+    const retries = {};
+    const error = await withRetry(
+      "goto",
+      async () => {
+        throw timeoutError();
+      },
+      { retries, policy: FAST }
+    ).catch((e) => e);
+    expect(error.step).toBe("goto");
+    expect(error.failure).toBe("transient");
+    expect(error.attempts).toBe(3);
+    expect(countRetries(retries)).toBe(2);
+  });
+});
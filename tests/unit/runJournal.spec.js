@@ -0,0 +1,123 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, expect } = require("@playwright/test");
+const { RunJournal, readJournalEntries } = require("../utils/runJournal");
+
+const HOUR = 60 * 60 * 1000;
+
+// a journal file holding `entries`, each `ago` hours old
+function journalFile(entries = []) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "run-journal-"));
+  const file = path.join(dir, "run-journal.jsonl");
+  fs.writeFileSync(
+    file,
+    entries
+      .map(({ ago = 0, ...e }) =>
+        JSON.stringify({
+          ...e,
+          ts: new Date(Date.now() - ago * HOUR).toISOString(),
+        })
+      )
+      .join("\n") + "\n"
+  );
+  return file;
+}
+
+const EARLIER_RUN = [
+  { type: "run-start", runId: "run-1", ago: 30 },
+  {
+    type: "order",
+    runId: "run-1",
+    orderId: "1590",
+    outcome: "synced",
+    carrier: "DTDC",
+    ago: 30,
+  },
+  { type: "run-end", runId: "run-1", ago: 30 },
+  { type: "run-start", runId: "run-2", ago: 2 },
+  {
+    type: "order",
+    runId: "run-2",
+    orderId: "1591",
+    outcome: "synced",
+    carrier: "Delhivery",
+    ago: 2,
+  },
+  {
+    type: "order",
+    runId: "run-2",
+    orderId: "1592",
+    outcome: "failed",
+    ago: 2,
+  },
+];
+
+test.describe("RunJournal", () => {
+  test.afterEach(() => {
+    delete process.env.JOURNAL_RECENT_HOURS;
+  });
+
+  test("skips orders synced within the recent window", () => {
+    const journal = new RunJournal({ file: journalFile(EARLIER_RUN) });
+    expect(journal.skipReason("1591")).toContain("already synced on Delhivery");
+    expect(journal.skipReason("1590")).toBeNull();
+    expect(journal.skipReason("1592")).toBeNull();
+    expect(journal.skipReason("")).toBeNull();
+  });
+
+  test("JOURNAL_RECENT_HOURS sets the window, and 0 turns it off", () => {
+    process.env.JOURNAL_RECENT_HOURS = "48";
+    let journal = new RunJournal({ file: journalFile(EARLIER_RUN) });
+    expect(journal.skipReason("1590")).not.toBeNull();
+
+    process.env.JOURNAL_RECENT_HOURS = "0";
+    journal = new RunJournal({ file: journalFile(EARLIER_RUN) });
+    expect(journal.skipReason("1591")).toBeNull();
+    // still never synced twice in the same run
+    journal.record("1593", "synced", { carrier: "DTDC" });
+    expect(journal.skipReason("1593")).not.toBeNull();
+
+    process.env.JOURNAL_RECENT_HOURS = "soon";
+    journal = new RunJournal({ file: journalFile(EARLIER_RUN) });
+    expect(journal.skipReason("1591")).not.toBeNull();
+  });
+
+  test("resume continues the last unfinished run", () => {
+    const file = journalFile(EARLIER_RUN);
+    const journal = new RunJournal({ file, resume: true });
+    expect(journal.resumed).toBe(true);
+    expect(journal.runId).toBe("run-2");
+    expect(journal.skipReason("1592")).toBe(
+      "already failed in resumed run run-2"
+    );
+    expect(journal.resumedSyncedCount()).toBe(1);
+  });
+
+  test("resume starts a new run when the last one ended", () => {
+    const file = journalFile(EARLIER_RUN.slice(0, 3));
+    const journal = new RunJournal({ file, resume: true });
+    expect(journal.resumed).toBe(false);
+    expect(journal.runId).not.toBe("run-1");
+  });
+
+  test("records outcomes as they finish", () => {
+    const file = journalFile();
+    const journal = new RunJournal({ file });
+    journal.record("1600", "synced", { carrier: "DTDC", awb: "123" });
+    journal.end();
+    const types = readJournalEntries(file).map((e) => e.type);
+    expect(types).toEqual(["run-start", "order", "run-end"]);
+    expect(() => journal.record("1601", "done")).toThrow(/Unknown/);
+  });
+
+  test("a read-only journal writes nothing", () => {
+    const file = journalFile(EARLIER_RUN);
+    const before = fs.readFileSync(file, "utf8");
+    const journal = new RunJournal({ file, readOnly: true });
+    journal.record("1600", "synced", { carrier: "DTDC" });
+    journal.end();
+    expect(fs.readFileSync(file, "utf8")).toBe(before);
+    expect(journal.skipReason("1591")).not.toBeNull();
+  });
+});
@@ -0,0 +1,78 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { test, expect } = require("@playwright/test");
+const {
+  normalizePincode,
+  readPincodesFromExcel,
+  readPincodesFromFiles,
+} = require("../utils/serviceability");
+
+// write `text` to a temporary file named `name` and return its path
+function tempFile(name, text) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "pincodes-"));
+  const file = path.join(dir, name);
+  fs.writeFileSync(file, text);
+  return file;
+}
+
+test.describe("normalizePincode", () => {
+  test("cleans up spreadsheet forms", () => {
+    for (const value of ["689672.0", '"689672"', '="689672"', "689 672"]) {
+      expect(normalizePincode(value)).toBe("689672");
+    }
+    expect(normalizePincode("0689672")).toBe("689672");
+  });
+
+  test("rejects values that are not pincodes", () => {
+    expect(normalizePincode("68967")).toBeNull();
+    expect(normalizePincode("068967")).toBeNull();
+    expect(normalizePincode("")).toBeNull();
+  });
+});
+
+test.describe("pincode file columns", () => {
+  test("OFFICE_CODE is not read as the COD column", () => {
+    const file = tempFile(
+      "DTDC.csv",
+      "PINCODE,OFFICE_CODE,OFFICE_NAME,COD\n640613,Y09,CANNANORE BRANCH,N\n"
+    );
+    const entry = readPincodesFromExcel(file).get("640613");
+    expect(entry.cod).toBe(false);
+    expect(entry.hub).toBe("CANNANORE BRANCH");
+  });
+
+  test("a sheet with only an office code has no COD flag", () => {
+    const file = tempFile("Prepaid.csv", "PINCODE,SORTCODE\n640613,1\n");
+    expect(readPincodesFromExcel(file).get("640613").cod).toBeNull();
+  });
+
+  test("prefers the B2C COD column", () => {
+    const file = tempFile(
+      "DTDC.csv",
+      "PINCODE,STATE_CODE,B2B_COD_SERVICEABLE,B2C_COD_SERVICEABLE\n" +
+        "670001,N,Y,N\n670002,Y,N,Y\n"
+    );
+    const map = readPincodesFromExcel(file);
+    expect(map.get("670001").cod).toBe(false);
+    expect(map.get("670002").cod).toBe(true);
+  });
+
+  test("reads a Cod Allowed column", () => {
+    const file = tempFile("Any.csv", "Pincode;Cod Allowed\n686001;N\n");
+    expect(readPincodesFromExcel(file).get("686001").cod).toBe(false);
+  });
+
+  test("embargoed pincodes are dropped from merged files", () => {
+    const list = tempFile("DTDC.txt", "686001, 686002\n");
+    const embargo = tempFile(
+      "DTDC.json",
+      JSON.stringify([{ pincode: 686002, status: "Embargo" }])
+    );
+    // a .json file is one sheet named after the file, so rename it
+    const blocked = path.join(path.dirname(embargo), "Embargo.json");
+    fs.renameSync(embargo, blocked);
+    const map = readPincodesFromFiles([list, blocked]);
+    expect([...map.keys()]).toEqual(["686001"]);
+  });
+});
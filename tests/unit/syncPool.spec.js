@@ -0,0 +1,81 @@
+const { test, expect } = require("@playwright/test");
+const {
+  DEFAULT_CONCURRENCY,
+  getConcurrency,
+  SyncPool,
+} = require("../utils/syncPool");
+
+function delay(ms, value) {
+  return new Promise((resolve) => setTimeout(() => resolve(value), ms));
+}
+
+test.describe("SyncPool", () => {
+  test("records results in submission order", async () => {
+    const pool = new SyncPool(3);
+    const recorded = [];
+    for (const [id, ms] of [
+      ["1590", 30],
+      ["1591", 0],
+      ["1592", 10],
+    ]) {
+      await pool.submit(
+        () => delay(ms, id),
+        ({ value }) => recorded.push(value)
+      );
+    }
+    await pool.drain();
+    expect(recorded).toEqual(["1590", "1591", "1592"]);
+  });
+
+  test("never runs more tasks than its size", async () => {
+    const pool = new SyncPool(2);
+    let running = 0;
+    let most = 0;
+    for (let i = 0; i < 5; i++) {
+      await pool.submit(
+        async () => {
+          running += 1;
+          most = Math.max(most, running);
+          await delay(5);
+          running -= 1;
+        },
+        () => {}
+      );
+    }
+    await pool.drain();
+    expect(most).toBe(2);
+    expect(pool.pending).toBe(0);
+  });
+
+  test("passes a failed task's error to its commit", async () => {
+    const pool = new SyncPool(2);
+    const outcomes = [];
+    await pool.submit(
+      async () => {
+        throw new Error("tab crashed");
+      },
+      (outcome) => outcomes.push(outcome)
+    );
+    await pool.submit(
+      async () => "ok",
+      (outcome) => outcomes.push(outcome)
+    );
+    await pool.drain();
+    expect(outcomes[0].error.message).toBe("tab crashed");
+    expect(outcomes[1]).toEqual({ value: "ok" });
+  });
+});
+
+test.describe("getConcurrency", () => {
+  test.afterEach(() => {
+    delete process.env.CONCURRENCY;
+  });
+
+  test("reads CONCURRENCY within its limits", () => {
+    expect(getConcurrency()).toBe(DEFAULT_CONCURRENCY);
+    process.env.CONCURRENCY = "4";
+    expect(getConcurrency()).toBe(4);
+    process.env.CONCURRENCY = "20";
+    expect(getConcurrency()).toBe(DEFAULT_CONCURRENCY);
+  });
+});
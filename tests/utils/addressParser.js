@@ -0,0 +1,306 @@
+const { normalizeStateName } = require("./pincodeState");
+
+// Parser for the text of the #addressShowBody popup.
+//
+// The popup shows "Label : value" lines (Name, Phone, Address, City, State,
+// Pincode, ...), sometimes under "Shipping Address" and "Billing Address"
+// headings. Each block is parsed into
+//   { name, phone, addressLines, city, district, state, pincode, country }
+// with null (or [] for addressLines) for fields the popup doesn't have.
+// Lines without a known label become address lines. A line can hold several
+// "Label : value" pairs ("Name : x, Pincode : 686001, State : Kerala"). A
+// pincode or state is only taken from an unlabelled line when it looks like
+// one: a 6-digit number on its own (not part of a phone number or a longer
+// digit run) or a known state name.
+
+// label (lowercase letters only) -> field
+const LABELS = {
+  name: "name",
+  fullname: "name",
+  customername: "name",
+  customer: "name",
+  contactname: "name",
+  recipient: "name",
+  recipientname: "name",
+  phone: "phone",
+  phoneno: "phone",
+  phonenumber: "phone",
+  mobile: "phone",
+  mobileno: "phone",
+  mobilenumber: "phone",
+  mob: "phone",
+  contact: "phone",
+  contactno: "phone",
+  contactnumber: "phone",
+  tel: "phone",
+  telephone: "phone",
+  whatsapp: "phone",
+  address: "address",
+  addressline: "address",
+  addressl: "address",
+  street: "address",
+  house: "address",
+  housename: "address",
+  houseno: "address",
+  building: "address",
+  flat: "address",
+  apartment: "address",
+  locality: "address",
+  area: "address",
+  landmark: "address",
+  postoffice: "address",
+  po: "address",
+  city: "city",
+  town: "city",
+  village: "city",
+  district: "district",
+  dist: "district",
+  state: "state",
+  province: "state",
+  pincode: "pincode",
+  pin: "pincode",
+  pinno: "pincode",
+  zip: "pincode",
+  zipcode: "pincode",
+  postalcode: "pincode",
+  postcode: "pincode",
+  country: "country",
+};
+
+const SHIPPING_HEADING = /^(shipping|delivery)(\s+(address|details))?$/i;
+const BILLING_HEADING = /^billing(\s+(address|details))?$/i;
+
+// 6-digit Indian pincode not glued to other digits ("686 001" included)
+const PINCODE_IN_TEXT = /(?:^|[^\d])([1-9]\d{2}\s?\d{3})(?!\d)/;
+
+// "Address Line 1" -> "addressline", "Mob. No" -> "mobno" -> handled below
+function labelKey(label) {
+  return String(label || "")
+    .toLowerCase()
+    .replace(/[^a-z]/g, "");
+}
+
+function fieldForLabel(label) {
+  const key = labelKey(label);
+  if (LABELS[key]) return LABELS[key];
+  // "Address 2", "Mobile No." and similar variants
+  if (key.startsWith("address")) return "address";
+  if (key.startsWith("mob") || key.startsWith("phone")) return "phone";
+  return null;
+}
+
+// Digits only; drops a +91 / 0 prefix from 10-digit Indian numbers
+function normalizePhone(value) {
+  const digits = String(value || "").replace(/\D/g, "");
+  if (digits.length === 12 && digits.startsWith("91")) return digits.slice(2);
+  if (digits.length === 11 && digits.startsWith("0")) return digits.slice(1);
+  return digits || null;
+}
+
+function pincodeFromText(text) {
+  const m = String(text || "").match(PINCODE_IN_TEXT);
+  return m ? m[1].replace(/\s/g, "") : null;
+}
+
+// state named in a free-text line ("Kottayam, Kerala 686001"), or null
+function stateFromText(text) {
+  for (const part of String(text || "").split(/[,\-\n]/)) {
+    const state = normalizeStateName(part.replace(/\d/g, "").trim());
+    if (state) return state;
+  }
+  return null;
+}
+
+function trimSeparators(text) {
+  return String(text || "").replace(/^[\s,;]+|[\s,;]+$/g, "");
+}
+
+// Split a line into its labelled values and the text around them. A value
+// runs to the next "Label :" on the line; values other than the address also
+// stop at a comma, and the rest ("Tamil Nadu, India") is unlabelled text.
+// Returns [{ field, value }], field null for unlabelled text.
+function splitLabelled(line) {
+  const labels = [];
+  let from = 0;
+  for (const colon of line.matchAll(/\s*[:：]/g)) {
+    const before = line.slice(from, colon.index);
+    const cut = Math.max(before.lastIndexOf(","), before.lastIndexOf(";")) + 1;
+    const words = [...before.slice(cut).matchAll(/\S+/g)];
+    // the label is the shortest run of words before the colon that is one
+    // ("Kerala Pincode :" -> "Pincode", "Address Line 1 :")
+    for (let n = 1; n <= Math.min(4, words.length); n++) {
+      const start = from + cut + words[words.length - n].index;
+      const label = line.slice(start, colon.index);
+      const field = /^[A-Za-z]/.test(label) ? fieldForLabel(label) : null;
+      if (field) {
+        labels.push({ field, start, end: colon.index + colon[0].length });
+        break;
+      }
+    }
+    from = colon.index + colon[0].length;
+  }
+  if (!labels.length) return [{ field: null, value: line }];
+
+  const parts = [];
+  const lead = trimSeparators(line.slice(0, labels[0].start));
+  if (lead) parts.push({ field: null, value: lead });
+  labels.forEach((label, i) => {
+    const end = i + 1 < labels.length ? labels[i + 1].start : line.length;
+    let value = trimSeparators(line.slice(label.end, end));
+    let rest = "";
+    const comma = label.field === "address" ? -1 : value.search(/[,;]/);
+    if (comma >= 0) {
+      rest = trimSeparators(value.slice(comma + 1));
+      value = value.slice(0, comma).trim();
+    }
+    parts.push({ field: label.field, value });
+    if (rest) parts.push({ field: null, value: rest });
+  });
+  return parts;
+}
+
+function emptyBlock() {
+  return {
+    name: null,
+    phone: null,
+    addressLines: [],
+    city: null,
+    district: null,
+    state: null,
+    pincode: null,
+    country: null,
+  };
+}
+
+// Parse the lines of one block (no headings)
+function parseBlock(lines) {
+  const block = emptyBlock();
+  const unlabelled = [];
+  for (const line of lines) {
+    const parts = splitLabelled(line);
+    // a bare label with its value on the next line ("Address")
+    if (!parts[0].field && fieldForLabel(line) && !/\d/.test(line)) continue;
+    for (const { field, value } of parts) {
+      if (!field) {
+        unlabelled.push(value);
+      } else if (!value) {
+        continue;
+      } else if (field === "address") {
+        block.addressLines.push(value);
+      } else if (field === "phone") {
+        block.phone = block.phone || normalizePhone(value);
+      } else if (field === "pincode") {
+        block.pincode = block.pincode || pincodeFromText(value);
+      } else if (!block[field]) {
+        block[field] = value;
+      }
+    }
+  }
+
+  for (const line of unlabelled) {
+    // a bare phone number line, optionally labelled without a colon
+    // ("9847012345", "Ph 9847012345", "Mob. +91 98470 12345")
+    const phoneLine = line.match(
+      /^(?:(?:ph|phone|mob|mobile|tel)\.?\s*(?:no\.?)?\s*-?\s*)?(\+?[\d\s-]{10,15})$/i
+    );
+    if (!block.phone && phoneLine) {
+      const phone = normalizePhone(phoneLine[1]);
+      if (phone.length === 10) {
+        block.phone = phone;
+        continue;
+      }
+    }
+    // "India" left over from "State : Kerala, India"
+    if (!block.country && /^india$/i.test(line)) {
+      block.country = "India";
+      continue;
+    }
+    block.addressLines.push(line);
+  }
+
+  // fall back to a pincode / state written inside the address lines
+  if (!block.pincode) {
+    for (let i = block.addressLines.length - 1; i >= 0; i--) {
+      const pin = pincodeFromText(block.addressLines[i]);
+      if (pin) {
+        block.pincode = pin;
+        break;
+      }
+    }
+  }
+  if (!block.state) {
+    for (let i = block.addressLines.length - 1; i >= 0; i--) {
+      const state = stateFromText(block.addressLines[i]);
+      if (state) {
+        block.state = state;
+        break;
+      }
+    }
+  }
+
+  // the labelled patterns read before this parser existed, over the whole
+  // block, for popups the line parser can't split
+  const text = lines.join("\n");
+  if (!block.pincode) {
+    const m = text.match(/Pincode\s*[:\-]?\s*(\d{4,6})/i);
+    if (m) block.pincode = m[1];
+  }
+  if (!block.state) {
+    const m = text.match(/State\s*[:\-]?\s*([^,\n\r]+)/i);
+    if (m && m[1].trim()) block.state = m[1].trim();
+  }
+  return block;
+}
+
+/**
+ * Parse the address popup text.
+ * @param {string} rawText
+ * @returns {{shipping: object|null, billing: object|null, address: object}}
+ *   `address` is the block to ship to: the shipping block when there is one,
+ *   else the billing block, else the whole text parsed as one block
+ */
+function parseAddress(rawText) {
+  const lines = String(rawText || "")
+    .split(/\r?\n/)
+    .map((l) => l.trim())
+    .filter(Boolean);
+
+  const sections = { shipping: null, billing: null };
+  const loose = [];
+  let current = loose;
+  for (const line of lines) {
+    // "Shipping Address" or "Shipping Address: 12, MG Road"
+    const m = line.match(
+      /^([A-Za-z ]+?)\s*[:：]?\s*$|^([A-Za-z ]+?)\s*[:：]\s*(.+)$/
+    );
+    const heading = m ? (m[1] || m[2]).trim() : "";
+    const kind = SHIPPING_HEADING.test(heading)
+      ? "shipping"
+      : BILLING_HEADING.test(heading)
+      ? "billing"
+      : null;
+    if (kind) {
+      sections[kind] = sections[kind] || [];
+      current = sections[kind];
+      if (m[3]) current.push(m[3].trim());
+      continue;
+    }
+    current.push(line);
+  }
+
+  // lines before the first heading (e.g. the customer name) belong to the
+  // first block
+  const firstKind = ["shipping", "billing"].find((k) => sections[k]);
+  if (firstKind && loose.length) {
+    sections[firstKind] = [...loose, ...sections[firstKind]];
+  }
+  const shipping = sections.shipping ? parseBlock(sections.shipping) : null;
+  const billing = sections.billing ? parseBlock(sections.billing) : null;
+  const address = shipping || billing || parseBlock(loose);
+  return { shipping, billing, address };
+}
+
+module.exports = {
+  parseAddress,
+  normalizePhone,
+};
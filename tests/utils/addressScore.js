@@ -0,0 +1,91 @@
+const { normalizeStateName, statesForPincode } = require("./pincodeState");
+
+// Address quality score (0-100) for a parsed address (see addressParser).
+//
+//   pincode  30  6 digits with a known Indian pincode prefix
+//   phone    20  10-digit mobile number
+//   state    20  a recognised state name (10 if present but unrecognised)
+//   city     15  city or district
+//   street   15  at least MIN_STREET_CHARS letters in the address lines
+//
+// Orders scoring below ADDRESS_MIN_SCORE (default 70) are held for review
+// instead of being dispatched. ADDRESS_MIN_SCORE=0 turns the hold off.
+
+const DEFAULT_MIN_SCORE = 70;
+const MIN_STREET_CHARS = 10;
+
+// ADDRESS_MIN_SCORE from the environment; invalid values fall back to the
+// default with a warning
+function getMinAddressScore() {
+  const raw = (process.env.ADDRESS_MIN_SCORE || "").trim();
+  if (!raw) return DEFAULT_MIN_SCORE;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0 || value > 100) {
+    console.warn(
+      `Ignoring ADDRESS_MIN_SCORE='${raw}' (expected 0-100), using ${DEFAULT_MIN_SCORE}`
+    );
+    return DEFAULT_MIN_SCORE;
+  }
+  return value;
+}
+
+/**
+ * Score a parsed address.
+ * @param {{name, phone, addressLines, city, district, state, pincode}} address
+ * @returns {{score: number, problems: string[]}}
+ */
+function scoreAddress(address) {
+  const a = address || {};
+  const problems = [];
+  let score = 0;
+
+  if (!a.pincode) {
+    problems.push("no pincode");
+  } else if (!/^[1-9]\d{5}$/.test(a.pincode)) {
+    problems.push(`pincode '${a.pincode}' is not 6 digits`);
+  } else if (statesForPincode(a.pincode).length === 0) {
+    problems.push(`pincode ${a.pincode} is not a known Indian pincode`);
+  } else {
+    score += 30;
+  }
+
+  if (!a.phone) {
+    problems.push("no phone number");
+  } else if (!/^[6-9]\d{9}$/.test(a.phone)) {
+    problems.push(`phone '${a.phone}' is not a 10-digit mobile number`);
+  } else {
+    score += 20;
+  }
+
+  if (!a.state) {
+    problems.push("no state");
+  } else if (!normalizeStateName(a.state)) {
+    problems.push(`state '${a.state}' not recognised`);
+    score += 10;
+  } else {
+    score += 20;
+  }
+
+  if (a.city || a.district) {
+    score += 15;
+  } else {
+    problems.push("no city or district");
+  }
+
+  const street = (a.addressLines || []).join(" ");
+  if ((street.match(/[A-Za-z]/g) || []).length >= MIN_STREET_CHARS) {
+    score += 15;
+  } else {
+    problems.push(
+      street ? `street address too short ('${street}')` : "no street address"
+    );
+  }
+
+  return { score, problems };
+}
+
+module.exports = {
+  DEFAULT_MIN_SCORE,
+  getMinAddressScore,
+  scoreAddress,
+};
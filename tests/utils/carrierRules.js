@@ -0,0 +1,282 @@
+const path = require("path");
+const fs = require("fs");
+
+// Declarative carrier eligibility rules.
+//
+// The rules file (carrier-rules.json in the working directory, or the path in
+// CARRIER_RULES_FILE) maps a carrier name to a list of named rules. Every rule
+// of a carrier must pass for the carrier to be eligible. A rule's `when` is a
+// condition tree:
+//   { "all": [cond, ...] }   every condition passes (AND)
+//   { "any": [cond, ...] }   at least one condition passes (OR)
+//   { "not": cond }          the condition fails (NOT)
+//   { "field": "state", "equals": "Tamil Nadu" }   leaf comparison
+// Leaf fields: state, paymentType, paymentStatus, pincode.
+// Leaf operators (case-insensitive, values trimmed): equals, contains,
+// startsWith, in (array of values), matches (regular expression source).
+// Carriers without rules are always eligible.
+
+const RULE_FIELDS = ["state", "paymentType", "paymentStatus", "pincode"];
+const LEAF_OPERATORS = ["equals", "contains", "startsWith", "in", "matches"];
+
+// default rules shipped with the tool (used when no rules file exists in the
+// working directory)
+const DEFAULT_RULES_PATH = path.resolve(
+  __dirname,
+  "..",
+  "..",
+  "carrier-rules.json"
+);
+
+let _rules = null; // { path, baseDir, carriers: Map<lowercased carrier, { name, rules }> }
+
+function resolveRulesPath(baseDir) {
+  if (process.env.CARRIER_RULES_FILE) {
+    return path.resolve(baseDir, process.env.CARRIER_RULES_FILE);
+  }
+  const local = path.join(baseDir, "carrier-rules.json");
+  if (fs.existsSync(local)) return local;
+  return DEFAULT_RULES_PATH;
+}
+
+// Validate a condition tree, pushing human readable problems into `problems`.
+function validateCondition(cond, where, problems) {
+  if (!cond || typeof cond !== "object" || Array.isArray(cond)) {
+    problems.push(`${where}: condition must be an object`);
+    return;
+  }
+  const keys = Object.keys(cond).filter((k) => k !== "name");
+  if (keys.includes("all") || keys.includes("any")) {
+    const op = keys.includes("all") ? "all" : "any";
+    if (keys.length !== 1) {
+      problems.push(`${where}: '${op}' cannot be combined with other keys`);
+    }
+    if (!Array.isArray(cond[op]) || cond[op].length === 0) {
+      problems.push(`${where}.${op}: must be a non-empty array`);
+      return;
+    }
+    cond[op].forEach((c, i) =>
+      validateCondition(c, `${where}.${op}[${i}]`, problems)
+    );
+    return;
+  }
+  if (keys.includes("not")) {
+    if (keys.length !== 1) {
+      problems.push(`${where}: 'not' cannot be combined with other keys`);
+    }
+    validateCondition(cond.not, `${where}.not`, problems);
+    return;
+  }
+  if (!RULE_FIELDS.includes(cond.field)) {
+    problems.push(
+      `${where}: 'field' must be one of ${RULE_FIELDS.join(", ")} (got '${
+        cond.field
+      }')`
+    );
+  }
+  const ops = keys.filter((k) => k !== "field");
+  if (ops.length !== 1 || !LEAF_OPERATORS.includes(ops[0])) {
+    problems.push(
+      `${where}: expected exactly one operator of ${LEAF_OPERATORS.join(
+        ", "
+      )} (got ${ops.join(", ") || "none"})`
+    );
+    return;
+  }
+  const op = ops[0];
+  const value = cond[op];
+  if (op === "in") {
+    if (!Array.isArray(value) || value.length === 0) {
+      problems.push(`${where}.in: must be a non-empty array`);
+    }
+  } else if (typeof value !== "string" || !value.trim()) {
+    problems.push(`${where}.${op}: must be a non-empty string`);
+  } else if (op === "matches") {
+    try {
+      new RegExp(value, "i");
+    } catch (e) {
+      problems.push(
+        `${where}.matches: invalid regular expression (${e.message})`
+      );
+    }
+  }
+}
+
+// Validate the parsed rules document. Returns a list of problems (empty when valid).
+function validateRules(doc) {
+  const problems = [];
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+    return ["rules file must contain a JSON object"];
+  }
+  if (!doc.carriers || typeof doc.carriers !== "object") {
+    return ["'carriers' must be an object keyed by carrier name"];
+  }
+  const names = new Set();
+  for (const [carrier, rules] of Object.entries(doc.carriers)) {
+    const where = `carriers.${carrier}`;
+    if (!Array.isArray(rules)) {
+      problems.push(`${where}: must be an array of rules`);
+      continue;
+    }
+    rules.forEach((rule, i) => {
+      const rw = `${where}[${i}]`;
+      if (!rule || typeof rule !== "object") {
+        problems.push(`${rw}: rule must be an object`);
+        return;
+      }
+      if (typeof rule.name !== "string" || !rule.name.trim()) {
+        problems.push(`${rw}: 'name' is required`);
+      } else if (names.has(rule.name)) {
+        problems.push(`${rw}: duplicate rule name '${rule.name}'`);
+      } else {
+        names.add(rule.name);
+      }
+      if (!rule.when) {
+        problems.push(`${rw}: 'when' is required`);
+      } else {
+        validateCondition(rule.when, `${rw}.when`, problems);
+      }
+    });
+  }
+  return problems;
+}
+
+// Load and validate the rules file. Throws with every problem found so a
+// broken rules file stops the run at startup instead of mid-way. The file is
+// looked for in `baseDir` (default: the working directory).
+function loadCarrierRules({ force = false, baseDir = process.cwd() } = {}) {
+  if (_rules && !force && _rules.baseDir === baseDir) return _rules;
+
+  const rulesPath = resolveRulesPath(baseDir);
+  const carriers = new Map();
+  if (!fs.existsSync(rulesPath)) {
+    console.warn(
+      `No carrier rules file found at ${rulesPath}. All carriers will be treated as eligible.`
+    );
+    _rules = { path: null, baseDir, carriers };
+    return _rules;
+  }
+
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(rulesPath, "utf8"));
+  } catch (e) {
+    throw new Error(`Invalid carrier rules file ${rulesPath}: ${e.message}`);
+  }
+  const problems = validateRules(doc);
+  if (problems.length) {
+    throw new Error(
+      `Invalid carrier rules file ${rulesPath}:\n  - ${problems.join("\n  - ")}`
+    );
+  }
+  for (const [carrier, rules] of Object.entries(doc.carriers)) {
+    carriers.set(carrier.trim().toLowerCase(), { name: carrier, rules });
+  }
+  console.log(
+    `Loaded carrier rules for ${carriers.size} carrier(s) from ${rulesPath}`
+  );
+  _rules = { path: rulesPath, baseDir, carriers };
+  return _rules;
+}
+
+function describeLeaf(cond) {
+  const op = Object.keys(cond).find((k) => LEAF_OPERATORS.includes(k));
+  const value = Array.isArray(cond[op])
+    ? `[${cond[op].join(", ")}]`
+    : `'${cond[op]}'`;
+  return `${cond.field} ${op} ${value}`;
+}
+
+function describeCondition(cond) {
+  if (cond.name) return cond.name;
+  if (cond.all) return `(${cond.all.map(describeCondition).join(" AND ")})`;
+  if (cond.any) return `(${cond.any.map(describeCondition).join(" OR ")})`;
+  if (cond.not) return `NOT ${describeCondition(cond.not)}`;
+  return describeLeaf(cond);
+}
+
+function evaluateLeaf(cond, facts) {
+  const actual = String(facts[cond.field] == null ? "" : facts[cond.field])
+    .trim()
+    .toLowerCase();
+  const norm = (v) => String(v).trim().toLowerCase();
+  if (cond.equals !== undefined) return actual === norm(cond.equals);
+  if (cond.contains !== undefined) return actual.includes(norm(cond.contains));
+  if (cond.startsWith !== undefined)
+    return actual.startsWith(norm(cond.startsWith));
+  if (cond.in !== undefined) return cond.in.map(norm).includes(actual);
+  if (cond.matches !== undefined)
+    return new RegExp(cond.matches, "i").test(actual);
+  return false;
+}
+
+// Evaluate a condition tree. Returns { pass, failed } where `failed` describes
+// the part of the condition that did not hold.
+function evaluateCondition(cond, facts) {
+  if (cond.all) {
+    for (const c of cond.all) {
+      const r = evaluateCondition(c, facts);
+      if (!r.pass) return { pass: false, failed: r.failed };
+    }
+    return { pass: true, failed: null };
+  }
+  if (cond.any) {
+    for (const c of cond.any) {
+      if (evaluateCondition(c, facts).pass) return { pass: true, failed: null };
+    }
+    return { pass: false, failed: describeCondition(cond) };
+  }
+  if (cond.not) {
+    const r = evaluateCondition(cond.not, facts);
+    return r.pass
+      ? { pass: false, failed: describeCondition(cond) }
+      : { pass: true, failed: null };
+  }
+  return evaluateLeaf(cond, facts)
+    ? { pass: true, failed: null }
+    : { pass: false, failed: cond.name || describeLeaf(cond) };
+}
+
+// Check a carrier's rules against an order.
+// Returns { eligible, rule, skipReason } where `rule` is the name of the
+// first rule that failed.
+function evaluateCarrierRules(
+  carrierName,
+  {
+    state = null,
+    paymentType = null,
+    paymentStatus = null,
+    pincode = null,
+  } = {}
+) {
+  const { carriers } = loadCarrierRules();
+  const entry = carriers.get((carrierName || "").trim().toLowerCase());
+  if (!entry) return { eligible: true, rule: null, skipReason: "" };
+
+  const facts = { state, paymentType, paymentStatus, pincode };
+  for (const rule of entry.rules) {
+    const r = evaluateCondition(rule.when, facts);
+    if (!r.pass) {
+      return {
+        eligible: false,
+        rule: rule.name,
+        skipReason: `${entry.name} rule '${rule.name}' failed: ${r.failed}. Current: state='${state}', paymentType='${paymentType}', paymentStatus='${paymentStatus}', pincode='${pincode}'`,
+      };
+    }
+  }
+  return { eligible: true, rule: null, skipReason: "" };
+}
+
+// Names of carriers that have rules defined (original casing).
+function getRuleCarriers({ baseDir } = {}) {
+  return [...loadCarrierRules({ baseDir }).carriers.values()].map(
+    (e) => e.name
+  );
+}
+
+module.exports = {
+  loadCarrierRules,
+  validateRules,
+  evaluateCarrierRules,
+  getRuleCarriers,
+};
@@ -0,0 +1,135 @@
+const path = require("path");
+const fs = require("fs");
+
+// Runtime settings shared by run.js, playwright.config.ts and the page
+// objects: the admin base URL, the data folder and store profiles.
+//
+// Profiles let one install drive several storefronts on the same admin
+// software. profiles.json (working directory, or PROFILES_FILE) holds named
+// sets of settings, keyed by the usual environment variable names:
+//
+//   {
+//     "profiles": {
+//       "diyaa": { "BASE_URL": "https://diyaa.in", "PROCESS_COUNT": 50 },
+//       "other": {
+//         "BASE_URL": "https://admin.other.in",
+//         "CARRIER_CHAIN": "Delhivery,Shiprocket",
+//         "DATA_DIR": "data/other"
+//       }
+//     }
+//   }
+//
+// PROFILE=<name> (or `run.js --profile <name>`) applies one: its values
+// override .env. Unless the profile sets them, it also gets its own
+// credential store (.auth/credentials-<name>.json) and run journal
+// (logs/run-journal-<name>.jsonl), and log and summary file names carry the
+// profile name.
+
+const DEFAULT_BASE_URL = "https://diyaa.in";
+
+function resolveProfilesPath() {
+  if (process.env.PROFILES_FILE) {
+    return path.resolve(process.cwd(), process.env.PROFILES_FILE);
+  }
+  return path.join(process.cwd(), "profiles.json");
+}
+
+// All profiles by name; {} when there is no profiles file
+function loadProfiles() {
+  const file = resolveProfilesPath();
+  if (!fs.existsSync(file)) return {};
+  let parsed;
+  try {
+    parsed = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Cannot read profiles file ${file}: ${e.message}`);
+  }
+  const profiles = parsed && parsed.profiles;
+  if (!profiles || typeof profiles !== "object" || Array.isArray(profiles)) {
+    throw new Error(`${file}: expected { "profiles": { "<name>": {...} } }`);
+  }
+  return profiles;
+}
+
+function getProfileName() {
+  return (process.env.PROFILE || "").trim() || null;
+}
+
+/**
+ * Apply the named profile (default: PROFILE) to process.env. Does nothing
+ * without a profile name, or when this profile was already applied by the
+ * parent process (run.js), so command line options set after it still win.
+ * @returns {string|null} the profile name
+ */
+function applyProfile(name = getProfileName()) {
+  const profileName = (name || "").trim();
+  if (!profileName) return null;
+  if (process.env.PROFILE_APPLIED === profileName) return profileName;
+  if (!/^[A-Za-z0-9_-]+$/.test(profileName)) {
+    throw new Error(
+      `Invalid profile name '${profileName}': use letters, digits, '-' and '_'`
+    );
+  }
+  const profiles = loadProfiles();
+  const profile = profiles[profileName];
+  if (!profile || typeof profile !== "object") {
+    const known = Object.keys(profiles);
+    throw new Error(
+      `Unknown profile '${profileName}' (${resolveProfilesPath()}). ${
+        known.length ? `Available: ${known.join(", ")}` : "No profiles defined"
+      }`
+    );
+  }
+  for (const [key, value] of Object.entries(profile)) {
+    if (value === null || typeof value === "object") continue;
+    process.env[key] = String(value);
+  }
+  if (!("CREDENTIALS_FILE" in profile)) {
+    process.env.CREDENTIALS_FILE = path.join(
+      ".auth",
+      `credentials-${profileName}.json`
+    );
+  }
+  if (!("RUN_JOURNAL_FILE" in profile)) {
+    process.env.RUN_JOURNAL_FILE = path.join(
+      "logs",
+      `run-journal-${profileName}.jsonl`
+    );
+  }
+  process.env.PROFILE = profileName;
+  process.env.PROFILE_APPLIED = profileName;
+  return profileName;
+}
+
+// Admin base URL without a trailing slash
+function getBaseUrl() {
+  return (process.env.BASE_URL || DEFAULT_BASE_URL).replace(/\/$/, "");
+}
+
+// Folder with the carrier pincode lists (DATA_DIR, default ./data), relative
+// to `baseDir`
+function getDataDir(baseDir = process.cwd()) {
+  return process.env.DATA_DIR
+    ? path.resolve(baseDir, process.env.DATA_DIR)
+    : path.join(baseDir, "data");
+}
+
+// Log file name carrying the profile: logFileName("summary", ts, "txt") is
+// summary-<profile>-<ts>.txt with a profile, summary-<ts>.txt without.
+// Without `ext` it names a folder.
+function logFileName(prefix, ts, ext) {
+  const profile = getProfileName();
+  return `${prefix}-${profile ? `${profile}-` : ""}${ts}${
+    ext ? `.${ext}` : ""
+  }`;
+}
+
+module.exports = {
+  DEFAULT_BASE_URL,
+  loadProfiles,
+  getProfileName,
+  applyProfile,
+  getBaseUrl,
+  getDataDir,
+  logFileName,
+};
@@ -0,0 +1,175 @@
+const path = require("path");
+const fs = require("fs");
+const crypto = require("crypto");
+
+// Encrypted admin credentials, used when LOGIN_USERNAME / LOGIN_PASSWORD are
+// not set. Managed with `run.js credentials set|rotate|clear`.
+//
+// The file (CREDENTIALS_FILE, default .auth/credentials.json) holds the
+// username and password as AES-256-GCM ciphertext. The key is derived from a
+// passphrase with scrypt; the passphrase itself is never stored. run.js asks
+// for it at launch (or reads CREDENTIALS_PASSPHRASE for unattended runs),
+// decrypts the file and hands the credentials to the Playwright process in a
+// variable of that process only, which LoginPage removes once read.
+
+const FORMAT_VERSION = 1;
+const SCRYPT_PARAMS = { N: 16384, r: 8, p: 1 };
+const KEY_LENGTH = 32;
+// env var run.js hands the unlocked credentials over in
+const HANDOFF_VAR = "DIYAA_UNLOCKED_CREDENTIALS";
+
+function getCredentialsFile() {
+  return process.env.CREDENTIALS_FILE
+    ? path.resolve(process.cwd(), process.env.CREDENTIALS_FILE)
+    : path.join(process.cwd(), ".auth", "credentials.json");
+}
+
+function hasStoredCredentials() {
+  return fs.existsSync(getCredentialsFile());
+}
+
+function deriveKey(passphrase, salt, params = SCRYPT_PARAMS) {
+  return crypto.scryptSync(String(passphrase), salt, KEY_LENGTH, params);
+}
+
+/**
+ * Encrypt and write the credentials, replacing any existing file.
+ * @param {{username: string, password: string}} credentials
+ * @param {string} passphrase
+ */
+function saveCredentials({ username, password }, passphrase) {
+  if (!username || !password) {
+    throw new Error("Both a username and a password are required");
+  }
+  if (!passphrase) throw new Error("A passphrase is required");
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(
+    "aes-256-gcm",
+    deriveKey(passphrase, salt),
+    iv
+  );
+  const plaintext = JSON.stringify({
+    username,
+    password,
+    updatedAt: new Date().toISOString(),
+  });
+  const data = Buffer.concat([
+    cipher.update(plaintext, "utf8"),
+    cipher.final(),
+  ]);
+  const file = getCredentialsFile();
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(
+    file,
+    JSON.stringify(
+      {
+        version: FORMAT_VERSION,
+        kdf: { name: "scrypt", ...SCRYPT_PARAMS },
+        salt: salt.toString("base64"),
+        iv: iv.toString("base64"),
+        tag: cipher.getAuthTag().toString("base64"),
+        data: data.toString("base64"),
+      },
+      null,
+      2
+    ) + "\n",
+    { mode: 0o600 }
+  );
+  return file;
+}
+
+/**
+ * Decrypt the stored credentials.
+ * @param {string} passphrase
+ * @returns {{username: string, password: string, updatedAt: string}}
+ */
+function loadCredentials(passphrase) {
+  const file = getCredentialsFile();
+  if (!fs.existsSync(file)) {
+    throw new Error(`No stored credentials at ${file}`);
+  }
+  if (!passphrase) {
+    throw new Error(
+      `Credentials in ${file} are locked: a passphrase is needed (CREDENTIALS_PASSPHRASE)`
+    );
+  }
+  let stored;
+  try {
+    stored = JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (e) {
+    throw new Error(`Cannot read credentials file ${file}: ${e.message}`);
+  }
+  if (stored.version !== FORMAT_VERSION) {
+    throw new Error(
+      `Unsupported credentials file version ${stored.version} in ${file}`
+    );
+  }
+  const { N, r, p } = stored.kdf || {};
+  try {
+    const decipher = crypto.createDecipheriv(
+      "aes-256-gcm",
+      deriveKey(passphrase, Buffer.from(stored.salt, "base64"), { N, r, p }),
+      Buffer.from(stored.iv, "base64")
+    );
+    decipher.setAuthTag(Buffer.from(stored.tag, "base64"));
+    const plaintext = Buffer.concat([
+      decipher.update(Buffer.from(stored.data, "base64")),
+      decipher.final(),
+    ]).toString("utf8");
+    return JSON.parse(plaintext);
+  } catch (e) {
+    // GCM authentication fails the same way for a wrong passphrase and a
+    // tampered file
+    throw new Error(`Wrong passphrase or damaged credentials file ${file}`);
+  }
+}
+
+// Delete the credentials file. Returns false when there was none.
+function clearCredentials() {
+  const file = getCredentialsFile();
+  if (!fs.existsSync(file)) return false;
+  fs.unlinkSync(file);
+  return true;
+}
+
+/**
+ * Environment for the Playwright process: `env` with the credentials handed
+ * over and without the passphrase, which that process no longer needs.
+ * @param {Object} env
+ * @param {{username: string, password: string}|null} credentials
+ */
+function handOffEnv(env, credentials) {
+  const out = { ...env };
+  delete out.CREDENTIALS_PASSPHRASE;
+  delete out[HANDOFF_VAR];
+  if (credentials) {
+    const { username, password } = credentials;
+    out[HANDOFF_VAR] = JSON.stringify({ username, password });
+  }
+  return out;
+}
+
+// Credentials handed over by run.js, or null. The variable is removed from
+// the environment, so only the first call gets them.
+function takeHandedOffCredentials() {
+  const raw = process.env[HANDOFF_VAR];
+  delete process.env[HANDOFF_VAR];
+  if (!raw) return null;
+  try {
+    const { username, password } = JSON.parse(raw);
+    return username && password ? { username, password } : null;
+  } catch (e) {
+    return null;
+  }
+}
+
+module.exports = {
+  getCredentialsFile,
+  hasStoredCredentials,
+  saveCredentials,
+  loadCredentials,
+  clearCredentials,
+  handOffEnv,
+  takeHandedOffCredentials,
+};
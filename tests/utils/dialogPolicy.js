@@ -0,0 +1,206 @@
+const path = require("path");
+const fs = require("fs");
+const { STEPS } = require("./retryPolicy");
+
+// Native dialog (alert/confirm/prompt) policy for the order sync tabs.
+//
+// The policy file (dialog-policy.json in the working directory, or the path
+// in DIALOG_POLICY_FILE) maps dialog messages to an action:
+//
+//   {
+//     "steps": { "syncButton": "skip", "save": "accept", "default": "dismiss" },
+//     "rules": [
+//       { "name": "wallet", "matches": "insufficient (wallet )?balance",
+//         "action": "abort" },
+//       { "name": "already-synced", "matches": "already synced",
+//         "action": "skip", "steps": ["syncButton"] }
+//     ]
+//   }
+//
+// Rules are tried in order; `matches` is a case-insensitive regular
+// expression on the message and `steps` (optional) limits a rule to the sync
+// steps named (see utils/retryPolicy). A message no rule matches gets the
+// action of its step in `steps`, then `steps.default`. Actions:
+//   accept    accept the dialog and carry on
+//   dismiss   dismiss it and carry on
+//   skip      dismiss it and skip the order
+//   abort     dismiss it, skip the order and stop the run
+// Steps missing from the file keep the built-in actions below.
+
+const ACTIONS = ["accept", "dismiss", "skip", "abort"];
+
+// what the sync did before the policy existed: a dialog on Sync with
+// Shiprocket skips the order, the submit/fetch/save confirmations are
+// accepted, anything else is dismissed
+const DEFAULT_STEP_ACTIONS = {
+  syncButton: "skip",
+  logisticSync: "accept",
+  fetch: "accept",
+  save: "accept",
+  default: "dismiss",
+};
+
+// policy shipped with the tool (used when no file exists in the working
+// directory)
+const DEFAULT_POLICY_PATH = path.resolve(
+  __dirname,
+  "..",
+  "..",
+  "dialog-policy.json"
+);
+
+let _policy = null; // { path, steps, rules: [{ name, pattern, action, steps }] }
+
+function resolvePolicyPath() {
+  if (process.env.DIALOG_POLICY_FILE) {
+    return path.resolve(process.cwd(), process.env.DIALOG_POLICY_FILE);
+  }
+  const local = path.join(process.cwd(), "dialog-policy.json");
+  if (fs.existsSync(local)) return local;
+  return DEFAULT_POLICY_PATH;
+}
+
+// Validate the parsed policy document. Returns a list of problems (empty
+// when valid).
+function validatePolicy(doc) {
+  const problems = [];
+  if (!doc || typeof doc !== "object" || Array.isArray(doc)) {
+    return ["policy file must contain a JSON object"];
+  }
+  const stepNames = [...STEPS, "default"];
+  if (doc.steps !== undefined) {
+    if (!doc.steps || typeof doc.steps !== "object") {
+      problems.push("'steps' must be an object keyed by step name");
+    } else {
+      for (const [step, action] of Object.entries(doc.steps)) {
+        if (!stepNames.includes(step)) {
+          problems.push(
+            `steps.${step}: unknown step (expected one of ${stepNames.join(
+              ", "
+            )})`
+          );
+        }
+        if (!ACTIONS.includes(action)) {
+          problems.push(
+            `steps.${step}: action must be one of ${ACTIONS.join(", ")}`
+          );
+        }
+      }
+    }
+  }
+  if (doc.rules !== undefined && !Array.isArray(doc.rules)) {
+    problems.push("'rules' must be an array");
+    return problems;
+  }
+  const names = new Set();
+  (doc.rules || []).forEach((rule, i) => {
+    const where = `rules[${i}]`;
+    if (!rule || typeof rule !== "object") {
+      problems.push(`${where}: rule must be an object`);
+      return;
+    }
+    if (typeof rule.name !== "string" || !rule.name.trim()) {
+      problems.push(`${where}: 'name' is required`);
+    } else if (names.has(rule.name)) {
+      problems.push(`${where}: duplicate rule name '${rule.name}'`);
+    } else {
+      names.add(rule.name);
+    }
+    if (typeof rule.matches !== "string" || !rule.matches.trim()) {
+      problems.push(`${where}.matches: must be a non-empty string`);
+    } else {
+      try {
+        new RegExp(rule.matches, "i");
+      } catch (e) {
+        problems.push(
+          `${where}.matches: invalid regular expression (${e.message})`
+        );
+      }
+    }
+    if (!ACTIONS.includes(rule.action)) {
+      problems.push(`${where}.action: must be one of ${ACTIONS.join(", ")}`);
+    }
+    if (rule.steps !== undefined) {
+      if (!Array.isArray(rule.steps) || rule.steps.length === 0) {
+        problems.push(`${where}.steps: must be a non-empty array`);
+      } else {
+        for (const step of rule.steps) {
+          if (!STEPS.includes(step)) {
+            problems.push(`${where}.steps: unknown step '${step}'`);
+          }
+        }
+      }
+    }
+  });
+  return problems;
+}
+
+// Load and validate the policy file. Throws with every problem found so a
+// broken policy stops the run at startup instead of at the first dialog.
+function loadDialogPolicy({ force = false } = {}) {
+  if (_policy && !force) return _policy;
+
+  const policyPath = resolvePolicyPath();
+  if (!fs.existsSync(policyPath)) {
+    _policy = { path: null, steps: { ...DEFAULT_STEP_ACTIONS }, rules: [] };
+    return _policy;
+  }
+
+  let doc;
+  try {
+    doc = JSON.parse(fs.readFileSync(policyPath, "utf8"));
+  } catch (e) {
+    throw new Error(`Invalid dialog policy file ${policyPath}: ${e.message}`);
+  }
+  const problems = validatePolicy(doc);
+  if (problems.length) {
+    throw new Error(
+      `Invalid dialog policy file ${policyPath}:\n  - ${problems.join(
+        "\n  - "
+      )}`
+    );
+  }
+  const rules = (doc.rules || []).map((rule) => ({
+    name: rule.name,
+    pattern: new RegExp(rule.matches, "i"),
+    action: rule.action,
+    steps: rule.steps || null,
+  }));
+  console.log(
+    `Loaded dialog policy with ${rules.length} rule(s) from ${policyPath}`
+  );
+  _policy = {
+    path: policyPath,
+    steps: { ...DEFAULT_STEP_ACTIONS, ...(doc.steps || {}) },
+    rules,
+  };
+  return _policy;
+}
+
+/**
+ * Action for a dialog shown during `step`.
+ * @param {string} message the dialog's message
+ * @param {string} step sync step the dialog appeared in
+ * @returns {{ action: string, rule: string|null }}
+ */
+function dialogAction(message, step) {
+  const policy = loadDialogPolicy();
+  for (const rule of policy.rules) {
+    if (rule.steps && !rule.steps.includes(step)) continue;
+    if (rule.pattern.test(String(message || ""))) {
+      return { action: rule.action, rule: rule.name };
+    }
+  }
+  return {
+    action: policy.steps[step] || policy.steps.default,
+    rule: null,
+  };
+}
+
+module.exports = {
+  ACTIONS,
+  DEFAULT_STEP_ACTIONS,
+  loadDialogPolicy,
+  validatePolicy,
+  dialogAction,
+};
@@ -0,0 +1,93 @@
+const fs = require("fs");
+const path = require("path");
+const { logFileName } = require("./config");
+
+// Evidence kept for each order that ends up in the run's errors (failed or
+// skipped), in logs/forensics-<run id>/<order id>/:
+//
+//   error.txt              the error entries, sync result and page URLs
+//   order-page.png         full-page screenshot of the order tab, taken
+//                          before it closes when the sync in that tab
+//                          failed or was skipped (orders that never opened
+//                          a tab have none)
+//   logisticsModal.html    #logisticsModal from the order tab
+//   order-list.png         full-page screenshot of the order list
+//   addressShowBody.html   the address popup as read for this order
+//   trace.zip              Playwright trace of the order tab (FORENSICS_TRACE=1)
+//
+// FORENSICS=0 (or false/no/off) turns it off. Every capture is best effort:
+// a failed screenshot never affects the run.
+
+function isForensicsEnabled() {
+  return !/^(0|false|no|off)$/i.test((process.env.FORENSICS || "").trim());
+}
+
+function isTraceEnabled() {
+  return (
+    isForensicsEnabled() &&
+    /^(1|true|yes|on)$/i.test((process.env.FORENSICS_TRACE || "").trim())
+  );
+}
+
+// Folder for this run's forensics; the run ID is the journal's
+function forensicsRunDir(runId) {
+  return path.join(process.cwd(), "logs", logFileName("forensics", runId));
+}
+
+// Folder for one order, created if needed
+function orderForensicsDir(runDir, orderId) {
+  const name = String(orderId || "unknown").replace(/[^A-Za-z0-9_-]/g, "_");
+  const dir = path.join(runDir, name);
+  fs.mkdirSync(dir, { recursive: true });
+  return dir;
+}
+
+// Full-page screenshot of `page` into `file`; false when it couldn't be taken
+async function saveScreenshot(page, file) {
+  try {
+    if (!page || page.isClosed()) return false;
+    await page.screenshot({ path: file, fullPage: true, timeout: 10000 });
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// outerHTML of the first element matching `selector`; null when missing
+async function readOuterHtml(page, selector) {
+  try {
+    if (!page || page.isClosed()) return null;
+    return await page.evaluate((sel) => {
+      const el = document.querySelector(sel);
+      return el ? el.outerHTML : null;
+    }, selector);
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeText(file, text) {
+  try {
+    if (text === null || text === undefined) return false;
+    fs.writeFileSync(file, String(text));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+// Path shown in the summaries, relative to the working directory
+function displayPath(dir) {
+  return path.relative(process.cwd(), dir) || dir;
+}
+
+module.exports = {
+  isForensicsEnabled,
+  isTraceEnabled,
+  forensicsRunDir,
+  orderForensicsDir,
+  saveScreenshot,
+  readOuterHtml,
+  writeText,
+  displayPath,
+};
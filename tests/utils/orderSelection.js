@@ -0,0 +1,161 @@
+const path = require("path");
+const fs = require("fs");
+let xlsx;
+try {
+  xlsx = require("xlsx");
+} catch (e) {
+  // If xlsx isn't installed, .xlsx ID files can't be read.
+  xlsx = null;
+}
+
+// Order ID selection for a run.
+//
+//   ORDER_IDS=1590-1620,1650         only process these orders
+//   ORDER_IDS_FILE=data/today.csv    ... or the IDs listed in a file
+//   EXCLUDE_ORDER_IDS=1600           never process these orders
+//   EXCLUDE_ORDER_IDS_FILE=hold.txt  ... or the IDs listed in a file
+//
+// In ORDER_IDS / EXCLUDE_ORDER_IDS, IDs and ranges are separated by commas,
+// semicolons or whitespace. Files list plain IDs, no ranges: a .txt file one
+// or more per line; a .csv or .xlsx/.xls file (every sheet) in the column
+// headed "Order ID" (or "Order No"), else in the first column. Other columns
+// (amounts, pincodes, phone numbers) are never read. Anything that is not an
+// ID, such as a header cell, is ignored.
+
+// guard against typos like 1590-159000 expanding into a huge set
+const MAX_RANGE_SIZE = 10000;
+
+// Normalise a single ID token: trims, drops a trailing ".0" that Excel adds
+// to numbers. Returns null for tokens that are not order IDs.
+function normalizeOrderId(token) {
+  const s = String(token === null || token === undefined ? "" : token)
+    .trim()
+    .replace(/^["']|["']$/g, "")
+    .replace(/\.0+$/, "");
+  return /^\d+$/.test(s) ? s : null;
+}
+
+// Parse "1590-1620, 1650" into ["1590", ..., "1620", "1650"]
+function parseOrderIdSpec(spec) {
+  const ids = [];
+  if (!spec) return ids;
+  // "1590 - 1620" is one range, not three tokens
+  const text = String(spec).replace(/(\d)\s*-\s*(?=\d)/g, "$1-");
+  for (const raw of text.split(/[,;\s]+/)) {
+    const token = raw.trim();
+    if (!token) continue;
+    const range = token.match(/^(\d+)\s*-\s*(\d+)$/);
+    if (range) {
+      let from = Number(range[1]);
+      let to = Number(range[2]);
+      if (from > to) [from, to] = [to, from];
+      if (to - from + 1 > MAX_RANGE_SIZE) {
+        throw new Error(
+          `Order ID range ${token} is larger than ${MAX_RANGE_SIZE} IDs`
+        );
+      }
+      for (let n = from; n <= to; n++) ids.push(String(n));
+      continue;
+    }
+    const id = normalizeOrderId(token);
+    if (id) ids.push(id);
+  }
+  return ids;
+}
+
+// "Order ID", "order_no", "Order Number" and similar header cells
+const ORDER_ID_HEADER = /^order(id|no|number)?$/;
+
+// Order IDs in a table (rows of cells): the column headed "Order ID" when the
+// first non-empty row has one, else the first column
+function orderIdsFromRows(rows) {
+  const filled = rows.filter(
+    (r) => r && r.some((c) => String(c === undefined ? "" : c).trim())
+  );
+  if (!filled.length) return [];
+  const header = filled[0].findIndex((c) =>
+    ORDER_ID_HEADER.test(
+      String(c || "")
+        .toLowerCase()
+        .replace(/[^a-z]/g, "")
+    )
+  );
+  const column = header >= 0 ? header : 0;
+  const ids = [];
+  for (const r of header >= 0 ? filled.slice(1) : filled) {
+    const id = normalizeOrderId(r[column]);
+    if (id) ids.push(id);
+  }
+  return ids;
+}
+
+// Read order IDs from a .txt, .csv or .xlsx/.xls file
+function readOrderIdsFromFile(file) {
+  const absPath = path.resolve(process.cwd(), file);
+  if (!fs.existsSync(absPath)) {
+    throw new Error(`Order ID file not found: ${absPath}`);
+  }
+  const ext = path.extname(absPath).toLowerCase();
+  if (ext === ".xlsx" || ext === ".xls") {
+    if (!xlsx) throw new Error(`Cannot read ${absPath}: xlsx is not installed`);
+    const wb = xlsx.readFile(absPath);
+    const ids = [];
+    for (const name of wb.SheetNames) {
+      const rows = xlsx.utils.sheet_to_json(wb.Sheets[name], {
+        header: 1,
+        raw: false,
+      });
+      ids.push(...orderIdsFromRows(rows));
+    }
+    return ids;
+  }
+  const text = fs.readFileSync(absPath, "utf8");
+  if (ext === ".csv") {
+    return orderIdsFromRows(
+      text.split(/\r?\n/).map((line) => line.split(/[,;\t]/))
+    );
+  }
+  return text
+    .split(/[,;\s]+/)
+    .map(normalizeOrderId)
+    .filter(Boolean);
+}
+
+// Build the selection from the environment.
+// Returns { include: Set<string>|null, exclude: Set<string> }; `include` is
+// null when no order IDs were requested (process everything).
+function loadOrderSelection(env = process.env) {
+  let include = null;
+  if (env.ORDER_IDS || env.ORDER_IDS_FILE) {
+    include = new Set([
+      ...parseOrderIdSpec(env.ORDER_IDS),
+      ...(env.ORDER_IDS_FILE ? readOrderIdsFromFile(env.ORDER_IDS_FILE) : []),
+    ]);
+  }
+  const exclude = new Set([
+    ...parseOrderIdSpec(env.EXCLUDE_ORDER_IDS),
+    ...(env.EXCLUDE_ORDER_IDS_FILE
+      ? readOrderIdsFromFile(env.EXCLUDE_ORDER_IDS_FILE)
+      : []),
+  ]);
+  return { include, exclude };
+}
+
+// Why an order is not selected, or null if it should be processed
+function selectionSkipReason(selection, orderId) {
+  const id = orderId ? String(orderId).trim() : "";
+  if (selection.exclude.has(id)) return "listed in the exclude list";
+  if (selection.include && !selection.include.has(id)) {
+    return "not in the requested order IDs";
+  }
+  return null;
+}
+
+module.exports = {
+  normalizeOrderId,
+  parseOrderIdSpec,
+  orderIdsFromRows,
+  readOrderIdsFromFile,
+  loadOrderSelection,
+  selectionSkipReason,
+};
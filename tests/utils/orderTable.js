@@ -0,0 +1,240 @@
+// Order records from the response that feeds table#example.
+//
+// DataTables fills the order list either from the order_list HTML page or
+// from an ajax call returning { draw, recordsTotal, data: [...] } (aaData in
+// older versions). Rows in that JSON are arrays of cell HTML in header order,
+// or objects keyed by field name. Columns are found by their header text, not
+// by position, and each row becomes an order record:
+//
+//   { orderId, name, isNew, paymentType, paymentStatus, orderStatus }
+//
+// The page object matches the table's rows to the records of the response
+// that drew them by position (checked with textShowsOrderId), takes the
+// order ID, payment values and "New" badge from the record, and reports
+// where the DOM cells differ (see compareRecord).
+
+// header text patterns per record field
+const COLUMN_PATTERNS = {
+  orderId: /^(order\s*(id|no\.?|number|#)|#|id)$/i,
+  name: /^(customer(\s*name)?|name)$/i,
+  paymentType: /payment\s*(type|method|mode)/i,
+  paymentStatus: /payment\s*status/i,
+  orderStatus: /^(order\s*)?status$/i,
+};
+
+// object-row keys per record field, compared without case or separators
+const KEY_ALIASES = {
+  orderId: ["orderid", "orderno", "ordernumber", "id"],
+  name: ["name", "customername", "customer"],
+  paymentType: ["paymenttype", "paymentmethod", "paymentmode"],
+  paymentStatus: ["paymentstatus"],
+  orderStatus: ["orderstatus", "status"],
+};
+
+// fields compared between the response and the DOM
+const COMPARED_FIELDS = ["isNew", "paymentType", "paymentStatus"];
+
+const NEW_BADGE =
+  /<[^>]*class\s*=\s*["'][^"']*\bbadge\b[^"']*["'][^>]*>\s*New\s*</i;
+const BADGE_ELEMENT =
+  /<([a-z]+)\b[^>]*class\s*=\s*["'][^"']*\bbadge\b[^"']*["'][^>]*>[\s\S]*?<\/\1>/gi;
+const ADDRESS_BUTTON =
+  /<(button|a)\b[^>]*\baddress-show-btn\b[^>]*>([\s\S]*?)<\/\1>/i;
+
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  "#39": "'",
+  apos: "'",
+  nbsp: " ",
+};
+
+// Visible text of a cell's HTML (or a plain value)
+function cellText(value) {
+  if (value === null || value === undefined) return "";
+  return String(value)
+    .replace(/<[^>]*>/g, " ")
+    .replace(/&(amp|lt|gt|quot|#39|apos|nbsp);/g, (m, e) => ENTITIES[e])
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+// Customer name without the status badge shown next to it
+function nameText(value) {
+  return cellText(String(value || "").replace(BADGE_ELEMENT, " ")) || null;
+}
+
+// Order ID from the cell holding the address button: the same attributes
+// OrderListPage.getRowOrderId tries, then the button text
+function orderIdFromCell(html) {
+  const match = String(html || "").match(ADDRESS_BUTTON);
+  if (!match) return null;
+  for (const attr of ["data-order-id", "data-id", "data-order"]) {
+    const m = match[0].match(new RegExp(`\\b${attr}\\s*=\\s*["']([^"']+)["']`));
+    if (m && m[1].trim()) return m[1].trim();
+  }
+  return cellText(match[2]) || null;
+}
+
+/**
+ * Column index per record field from the header texts. The order ID column
+ * is the one holding the address button when the sample rows have one.
+ * @param {string[]} headers
+ * @param {Array<Array<string>>} [sampleRows] cell HTML of a few rows
+ * @returns {Object<string, number>} e.g. { orderId: 0, paymentType: 8 }
+ */
+function findColumns(headers, sampleRows = []) {
+  const columns = {};
+  (headers || []).forEach((header, index) => {
+    const text = cellText(header);
+    for (const [field, pattern] of Object.entries(COLUMN_PATTERNS)) {
+      if (columns[field] === undefined && pattern.test(text)) {
+        columns[field] = index;
+        break;
+      }
+    }
+  });
+  // the address button marks the order ID column more reliably than a "#"
+  // or "ID" header, which may be a serial number
+  for (const row of sampleRows) {
+    const index = (row || []).findIndex((cell) =>
+      ADDRESS_BUTTON.test(String(cell || ""))
+    );
+    if (index >= 0) {
+      columns.orderId = index;
+      break;
+    }
+  }
+  return columns;
+}
+
+// Record from an array row (cell HTML in header order)
+function recordFromCells(cells, columns) {
+  const cell = (field) =>
+    columns[field] === undefined ? undefined : cells[columns[field]];
+  const idCell = cell("orderId");
+  return {
+    orderId: orderIdFromCell(idCell) || cellText(idCell) || null,
+    name: nameText(cell("name")),
+    isNew: cells.some((c) => NEW_BADGE.test(String(c || ""))),
+    paymentType: cellText(cell("paymentType")) || null,
+    paymentStatus: cellText(cell("paymentStatus")) || null,
+    orderStatus: cellText(cell("orderStatus")) || null,
+  };
+}
+
+// Record from an object row, matching keys by name
+function recordFromObject(row) {
+  const byKey = new Map();
+  for (const [key, value] of Object.entries(row || {})) {
+    byKey.set(key.toLowerCase().replace(/[^a-z0-9]/g, ""), value);
+  }
+  const pick = (field) => {
+    for (const alias of KEY_ALIASES[field]) {
+      if (byKey.has(alias)) return byKey.get(alias);
+    }
+    return undefined;
+  };
+  const rawId = pick("orderId");
+  const values = Object.values(row || {});
+  const status = cellText(pick("orderStatus"));
+  return {
+    orderId:
+      orderIdFromCell(rawId) ||
+      cellText(rawId) ||
+      values.map(orderIdFromCell).find(Boolean) ||
+      null,
+    name: nameText(pick("name")),
+    isNew:
+      values.some((v) => NEW_BADGE.test(String(v || ""))) ||
+      /^new$/i.test(status),
+    paymentType: cellText(pick("paymentType")) || null,
+    paymentStatus: cellText(pick("paymentStatus")) || null,
+    orderStatus: status || null,
+  };
+}
+
+// Skips rows without a usable order ID, such as DataTables' "No data
+// available in table" placeholder row
+function isOrderRecord(record) {
+  return Boolean(record.orderId) && /^\S{1,40}$/.test(record.orderId);
+}
+
+/**
+ * Records from a DataTables ajax response, or null when the JSON isn't one.
+ * @param {*} json parsed response body
+ * @param {string[]} headers table header texts, for array rows
+ */
+function recordsFromJson(json, headers) {
+  const data = json && (Array.isArray(json) ? json : json.data || json.aaData);
+  if (!Array.isArray(data)) return null;
+  const arrayRows = data.filter(Array.isArray);
+  const columns = findColumns(headers, arrayRows.slice(0, 5));
+  return data
+    .map((row) =>
+      Array.isArray(row) ? recordFromCells(row, columns) : recordFromObject(row)
+    )
+    .filter(isOrderRecord);
+}
+
+/**
+ * Records from the header texts and cell HTML of the table in an HTML
+ * response (extracted in the browser).
+ * @param {string[]} headers
+ * @param {Array<Array<string>>} rows
+ */
+function recordsFromRows(headers, rows) {
+  const columns = findColumns(headers, rows.slice(0, 5));
+  return rows
+    .map((cells) => recordFromCells(cells, columns))
+    .filter(isOrderRecord);
+}
+
+// Whether a row's visible text shows `orderId` as a whole word, so a record
+// matched by position is known to belong to that row
+function textShowsOrderId(text, orderId) {
+  if (!orderId) return false;
+  const id = String(orderId).replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  return new RegExp(`(^|[^A-Za-z0-9])${id}([^A-Za-z0-9]|$)`).test(
+    String(text || "")
+  );
+}
+
+function sameValue(a, b) {
+  if (typeof a === "boolean" || typeof b === "boolean") return a === b;
+  return cellText(a).toLowerCase() === cellText(b).toLowerCase();
+}
+
+/**
+ * Differences between the response record and the values read from the DOM
+ * for the same order. Fields either side couldn't read are not compared.
+ * @returns {Array<{orderId, field, response, dom}>}
+ */
+function compareRecord(record, dom) {
+  const mismatches = [];
+  for (const field of COMPARED_FIELDS) {
+    const a = record[field];
+    const b = dom[field];
+    if (a === null || a === undefined || b === null || b === undefined) {
+      continue;
+    }
+    if (!sameValue(a, b)) {
+      mismatches.push({ orderId: record.orderId, field, response: a, dom: b });
+    }
+  }
+  return mismatches;
+}
+
+module.exports = {
+  cellText,
+  orderIdFromCell,
+  findColumns,
+  recordFromCells,
+  recordFromObject,
+  recordsFromJson,
+  recordsFromRows,
+  textShowsOrderId,
+  compareRecord,
+};
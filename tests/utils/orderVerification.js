@@ -0,0 +1,156 @@
+// Read-back check after an order is saved: the order page is loaded again
+// and the carrier, AWB (tracking number) and order status it shows are
+// compared with what the run chose. Only a verified order counts as synced.
+//
+// The order page has no fixed markup for these values, so readOrderDetails
+// looks for form fields whose whole id or name is one of them ("awb_no",
+// "courier_name", "order[status]"), then for labelled values ("AWB No: ...",
+// a "Courier" table cell followed by its value).
+//
+// VERIFY_SAVE=0 (or false/no/off) turns the check off.
+
+function isVerifySaveEnabled() {
+  return !/^(0|false|no|off)$/i.test((process.env.VERIFY_SAVE || "").trim());
+}
+
+/**
+ * Runs in the browser (page.evaluate): { carrier, awb, status } as shown on
+ * the order page, null for values not found. Must stay self-contained.
+ */
+function readOrderDetails() {
+  // anchored, so "logistic_sync_date" or "tracking_url" don't count
+  const FIELDS = {
+    awb: /^((courier|shipment)[_-]?)?(awb|tracking|waybill)([_-]?(no|number|code|id))?$/,
+    carrier:
+      /^(courier|carrier|logistics?)([_-]?(name|partner|company|service))?$/,
+    status: /^(order[_-]?)?status$/,
+  };
+  const LABELS = {
+    awb: /^(awb|awb\s*(no\.?|number|code)|tracking\s*(no\.?|number|id|code)|waybill(\s*no\.?)?)\s*:?$/i,
+    carrier:
+      /^(courier|carrier|logistics?|courier\s*(name|partner)|shipped\s*(via|by))\s*:?$/i,
+    status: /^(order\s*)?status\s*:?$/i,
+  };
+  const clean = (s) =>
+    String(s || "")
+      .replace(/\s+/g, " ")
+      .trim();
+  const found = { awb: null, carrier: null, status: null };
+  // the Sync with Shiprocket modal has its own (unsaved) carrier dropdown
+  const inModal = (el) => Boolean(el.closest(".modal"));
+
+  // form fields: <input name="awb_no">, <select id="order_status">
+  for (const el of document.querySelectorAll("input, select, textarea")) {
+    if (
+      inModal(el) ||
+      el.type === "hidden" ||
+      el.type === "radio" ||
+      el.type === "checkbox"
+    ) {
+      continue;
+    }
+    // "order[awb_no]" is matched as "awb_no"
+    const keys = [el.id, el.name]
+      .map((s) =>
+        String(s || "")
+          .toLowerCase()
+          .trim()
+          .replace(/^.*\[([^\]]+)\]$/, "$1")
+      )
+      .filter(Boolean);
+    if (!keys.length) continue;
+    let value =
+      el.tagName === "SELECT"
+        ? clean(el.selectedOptions[0] && el.selectedOptions[0].textContent)
+        : clean(el.value);
+    if (/^(-+|select.*|none|n\/a)$/i.test(value)) value = "";
+    if (!value) continue;
+    for (const field of ["awb", "carrier", "status"]) {
+      if (!found[field] && keys.some((k) => FIELDS[field].test(k))) {
+        found[field] = value;
+        break;
+      }
+    }
+  }
+
+  // labelled values: "<th>AWB No</th><td>123</td>", "<b>Courier:</b> DTDC"
+  for (const el of document.querySelectorAll(
+    "th, td, dt, label, strong, b, span, div, p, li"
+  )) {
+    if (el.children.length > 1 || inModal(el)) continue;
+    const text = clean(el.textContent);
+    if (!text || text.length > 60) continue;
+    for (const field of ["awb", "carrier", "status"]) {
+      if (found[field]) continue;
+      const inline = text.match(/^([^:]{2,30}):\s*(\S.*)$/);
+      if (inline && LABELS[field].test(inline[1])) {
+        found[field] = inline[2];
+      } else if (LABELS[field].test(text)) {
+        const next = el.nextElementSibling;
+        const value = next ? clean(next.textContent) : "";
+        if (value && value.length <= 60) found[field] = value;
+      }
+    }
+  }
+  return found;
+}
+
+// Carrier names compared without case, spaces or punctuation; the page may
+// add a suffix ("DTDC Express", "Delhivery Surface")
+function carrierMatches(chosen, shown) {
+  const norm = (s) =>
+    String(s || "")
+      .toLowerCase()
+      .replace(/[^a-z0-9]/g, "");
+  const a = norm(chosen);
+  const b = norm(shown);
+  return Boolean(a && b) && (b.includes(a) || a.includes(b));
+}
+
+/**
+ * Compare what the order page shows after the save with what was chosen.
+ * Missing values and an unchanged status may still appear on a later
+ * reload (transient); a different carrier won't (permanent).
+ * `checkStatus: false` leaves the status out, for orders the run does not
+ * save itself (Shiprocket: #logistic_sync assigns the shipment).
+ * @param {{carrier, awb, status}} details read back from the order page
+ * @param {{carrier: string, statusBefore?: string, checkStatus?: boolean}} expected
+ * @returns {{ ok: boolean, problems: string[], failure: string|null }}
+ */
+function checkSavedOrder(
+  details,
+  { carrier, statusBefore = null, checkStatus = true }
+) {
+  const problems = [];
+  let failure = null;
+  const note = (problem, kind) => {
+    problems.push(problem);
+    if (failure !== "permanent") failure = kind;
+  };
+  const d = details || {};
+  if (!d.awb) note("no AWB on the order page", "transient");
+  if (!d.carrier) {
+    note("no carrier on the order page", "transient");
+  } else if (!carrierMatches(carrier, d.carrier)) {
+    note(`carrier shown is '${d.carrier}', expected '${carrier}'`, "permanent");
+  }
+  if (!checkStatus) {
+    return { ok: problems.length === 0, problems, failure };
+  }
+  if (!d.status) {
+    note("no order status on the order page", "transient");
+  } else if (
+    /^new$/i.test(d.status) ||
+    (statusBefore && d.status.toLowerCase() === statusBefore.toLowerCase())
+  ) {
+    note(`order status is still '${d.status}'`, "transient");
+  }
+  return { ok: problems.length === 0, problems, failure };
+}
+
+module.exports = {
+  isVerifySaveEnabled,
+  readOrderDetails,
+  carrierMatches,
+  checkSavedOrder,
+};
@@ -0,0 +1,213 @@
+const path = require("path");
+const fs = require("fs");
+let xlsx;
+try {
+  xlsx = require("xlsx");
+} catch (e) {
+  // If xlsx isn't installed, .xlsx pincode files can't be read.
+  xlsx = null;
+}
+const {
+  normalizePincode,
+  listServiceabilityCarriers,
+  checkPincodeServiceability,
+} = require("./serviceability");
+const {
+  getCarrierChain,
+  checkCarrierConditions,
+} = require("../pages/orderListPage");
+const { getRuleCarriers } = require("./carrierRules");
+const { checkPincodeState } = require("./pincodeState");
+
+// Offline pincode serviceability lookup used by `run.js check-pincode`.
+// Answers "which carriers can ship to this pincode?" from the data/ pincode
+// lists and, when the order's state / payment details are given,
+// which of those carriers pass their eligibility rules.
+
+// Pull 6-digit pincodes out of a text blob or a cell value, normalised the
+// same way as the carrier pincode lists ("689672.0" included)
+function pincodesFromText(text) {
+  const out = [];
+  for (const token of String(text || "").split(/[,;\s]+/)) {
+    const pincode = normalizePincode(token);
+    if (pincode) out.push(pincode);
+  }
+  return out;
+}
+
+// Read pincodes from a .txt, .csv or .xlsx/.xls file (every cell of every sheet)
+function readPincodeList(file) {
+  const absPath = path.resolve(process.cwd(), file);
+  if (!fs.existsSync(absPath)) {
+    throw new Error(`Pincode file not found: ${absPath}`);
+  }
+  const ext = path.extname(absPath).toLowerCase();
+  if (ext === ".xlsx" || ext === ".xls") {
+    if (!xlsx) throw new Error(`Cannot read ${absPath}: xlsx is not installed`);
+    const wb = xlsx.readFile(absPath);
+    const pins = [];
+    for (const name of wb.SheetNames) {
+      const rows = xlsx.utils.sheet_to_json(wb.Sheets[name], {
+        header: 1,
+        raw: false,
+      });
+      for (const r of rows) {
+        for (const cell of r || []) pins.push(...pincodesFromText(cell));
+      }
+    }
+    return pins;
+  }
+  return pincodesFromText(fs.readFileSync(absPath, "utf8"));
+}
+
+// Every carrier the lookup knows about: pincode files, rules and the
+// configured chain (chain order first, then the rest alphabetically)
+function knownCarriers() {
+  const byKey = new Map();
+  for (const name of [
+    ...getCarrierChain(),
+    ...listServiceabilityCarriers(),
+    ...getRuleCarriers(),
+  ]) {
+    if (!byKey.has(name.toLowerCase())) byKey.set(name.toLowerCase(), name);
+  }
+  return [...byKey.values()];
+}
+
+/**
+ * Look up carriers for each pincode.
+ * @param {string[]} pincodes
+ * @param {{state?: string, paymentType?: string, paymentStatus?: string}} [order]
+ *   when `state` or `paymentType` is given the carrier rules are evaluated too;
+ *   `paymentType` also limits the pincode lists to COD or prepaid serviceability
+ * @returns {Array<{pincode: string, served: Array<{carrier: string, entry: object}>,
+ *   notServed: Array<{carrier: string, reason: string}>, noList: string[],
+ *   rules: null|Array<{carrier: string, eligible: boolean, skipReason: string}>,
+ *   stateCheck: null|{consistent: boolean|null, expected: string[], reason: string|null},
+ *   chainCarrier: string|null}>}
+ */
+function lookupPincodes(pincodes, order = {}) {
+  const listed = new Set(
+    listServiceabilityCarriers().map((c) => c.toLowerCase())
+  );
+  const carriers = knownCarriers();
+  const chain = getCarrierChain();
+  const checkRules = Boolean(order.state || order.paymentType);
+
+  const unique = new Set(
+    pincodes.map((p) => normalizePincode(p) || String(p).trim())
+  );
+  return [...unique].map((pincode) => {
+    const served = [];
+    const notServed = [];
+    const noList = [];
+    for (const carrier of carriers) {
+      if (!listed.has(carrier.toLowerCase())) {
+        noList.push(carrier);
+        continue;
+      }
+      const r = checkPincodeServiceability(
+        carrier,
+        pincode,
+        order.paymentType || null
+      );
+      if (r.serviceable) served.push({ carrier, entry: r.entry });
+      else notServed.push({ carrier, reason: r.reason });
+    }
+
+    let rules = null;
+    if (checkRules) {
+      rules = carriers.map((carrier) => {
+        const r = checkCarrierConditions(carrier, {
+          state: order.state || null,
+          paymentType: order.paymentType || null,
+          paymentStatus: order.paymentStatus || null,
+          pincode,
+        });
+        return { carrier, eligible: r.eligible, skipReason: r.skipReason };
+      });
+    }
+
+    // first carrier of the configured chain that would be picked for this
+    // pincode (dropdown availability can't be checked offline)
+    let chainCarrier = null;
+    for (const carrier of chain) {
+      if (notServed.some((x) => x.carrier === carrier)) continue;
+      if (rules && !rules.find((r) => r.carrier === carrier).eligible) continue;
+      chainCarrier = carrier;
+      break;
+    }
+
+    const stateCheck = order.state
+      ? checkPincodeState(pincode, order.state)
+      : null;
+    return {
+      pincode,
+      served,
+      notServed,
+      noList,
+      rules,
+      stateCheck,
+      chainCarrier,
+    };
+  });
+}
+
+const flag = (v) => (v === true ? "Y" : v === false ? "N" : "?");
+
+// "DTDC (COD Y, Prepaid Y, ODA N, hub CANNANORE BRANCH)"
+function describeServed({ carrier, entry }) {
+  const parts = [`COD ${flag(entry.cod)}`, `Prepaid ${flag(entry.prepaid)}`];
+  if (entry.oda !== null) parts.push(`ODA ${flag(entry.oda)}`);
+  if (entry.hub) parts.push(`hub ${entry.hub}`);
+  return `${carrier} (${parts.join(", ")})`;
+}
+
+// Human readable report for `run.js check-pincode`
+function formatLookup(results, order = {}) {
+  const lines = [];
+  for (const r of results) {
+    lines.push(`Pincode ${r.pincode}`);
+    lines.push(
+      `  Served by: ${
+        r.served.map((x) => describeServed(x)).join(", ") || "none"
+      }`
+    );
+    if (r.notServed.length) {
+      lines.push("  Not served by:");
+      for (const x of r.notServed) lines.push(`    ${x.carrier}: ${x.reason}`);
+    }
+    if (r.noList.length) {
+      lines.push(`  No pincode list: ${r.noList.join(", ")}`);
+    }
+    if (r.stateCheck && r.stateCheck.consistent === false) {
+      lines.push(`  Address inconsistent: ${r.stateCheck.reason}`);
+    }
+    if (r.rules) {
+      const passing = r.rules.filter((x) => x.eligible).map((x) => x.carrier);
+      lines.push(
+        `  Passes rules (state=${order.state || "N/A"}, paymentType=${
+          order.paymentType || "N/A"
+        }, paymentStatus=${order.paymentStatus || "N/A"}): ${
+          passing.join(", ") || "none"
+        }`
+      );
+      for (const x of r.rules.filter((y) => !y.eligible)) {
+        lines.push(`  Fails rules: ${x.skipReason}`);
+      }
+    }
+    if (getCarrierChain().length) {
+      lines.push(
+        `  Carrier chain would pick: ${r.chainCarrier || "none (skipped)"}`
+      );
+    }
+  }
+  return lines.join("\n");
+}
+
+module.exports = {
+  pincodesFromText,
+  readPincodeList,
+  lookupPincodes,
+  formatLookup,
+};
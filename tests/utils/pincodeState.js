@@ -0,0 +1,77 @@
+// Offline pincode -> state check.
+//
+// pincodeStates.json maps pincode prefixes (2 to 4 digits, longest match
+// wins) to the state(s) a pincode with that prefix can belong to. Prefixes
+// shared by neighbouring states or union territories list all of them, so
+// the check only flags addresses that can't be right, e.g. a 689xxx (Kerala)
+// pincode with "Tamil Nadu" on the state line. The 4-digit entries cover
+// border areas where the carrier files (data/) place pincodes of one prefix
+// in two states, such as 2467xx (Bijnor, Uttar Pradesh) inside 246xxx
+// (Uttarakhand).
+const table = require("./pincodeStates.json");
+
+const PREFIX_LENGTHS = [4, 3, 2];
+
+// "Tamil Nadu", "TAMILNADU" and "tamil-nadu" all reduce to "tamilnadu"
+function stateKey(name) {
+  return String(name || "")
+    .toLowerCase()
+    .replace(/&/g, "and")
+    .replace(/[^a-z]/g, "");
+}
+
+// canonical state names by key, plus the aliases from the table
+const _canonical = new Map();
+for (const states of Object.values(table.prefixes)) {
+  for (const state of states) _canonical.set(stateKey(state), state);
+}
+for (const [alias, state] of Object.entries(table.aliases)) {
+  _canonical.set(stateKey(alias), state);
+}
+
+// Canonical state name for a free-text state ("TN", "Orissa", "tamil nadu"),
+// or null when it isn't a known state
+function normalizeStateName(name) {
+  return _canonical.get(stateKey(name)) || null;
+}
+
+// States a pincode can belong to, or [] when its prefix is not in the table
+function statesForPincode(pincode) {
+  const pin = String(pincode || "").trim();
+  if (!/^\d{6}$/.test(pin)) return [];
+  for (const len of PREFIX_LENGTHS) {
+    const states = table.prefixes[pin.slice(0, len)];
+    if (states) return states;
+  }
+  return [];
+}
+
+/**
+ * Check that an address's state matches its pincode.
+ * @returns {{consistent: boolean|null, expected: string[], reason: string|null}}
+ *   `consistent` is null when the check can't be made (no state, unknown
+ *   state name or pincode prefix)
+ */
+function checkPincodeState(pincode, state) {
+  const expected = statesForPincode(pincode);
+  const canonical = normalizeStateName(state);
+  if (!expected.length || !canonical) {
+    return { consistent: null, expected, reason: null };
+  }
+  if (expected.includes(canonical)) {
+    return { consistent: true, expected, reason: null };
+  }
+  return {
+    consistent: false,
+    expected,
+    reason: `pincode ${pincode} is in ${expected.join(
+      " / "
+    )}, but the state is '${state}'`,
+  };
+}
+
+module.exports = {
+  normalizeStateName,
+  statesForPincode,
+  checkPincodeState,
+};
@@ -0,0 +1,34 @@
+const readline = require("readline");
+
+// Line-based prompts on the terminal (or piped stdin), shared by run.js and
+// the setup wizard. Hidden answers (passwords, passphrases) are not echoed.
+function createPrompter() {
+  const rl = readline.createInterface({
+    input: process.stdin,
+    output: process.stdout,
+    terminal: Boolean(process.stdin.isTTY && process.stdout.isTTY),
+  });
+  let muted = false;
+  // readline has no option to hide input, so its echo is swallowed instead
+  const writeToOutput = rl._writeToOutput.bind(rl);
+  rl._writeToOutput = (s) => {
+    if (!muted) writeToOutput(s);
+  };
+  const lines = rl[Symbol.asyncIterator]();
+  return {
+    async ask(question, { hidden = false } = {}) {
+      process.stdout.write(question);
+      muted = hidden;
+      const { value, done } = await lines.next();
+      muted = false;
+      if (hidden && rl.terminal) process.stdout.write("\n");
+      if (done) throw new Error("No input: stdin was closed");
+      return value;
+    },
+    close() {
+      rl.close();
+    },
+  };
+}
+
+module.exports = { createPrompter };
@@ -0,0 +1,170 @@
+// Retry policy for the steps of an order sync (OrderListPage.
+// syncShiprocketForOrder): opening the order page, the Sync with Shiprocket
+// button, the logistics dropdown, #logistic_sync, fetch, #save_order and the
+// read-back of the saved order (utils/orderVerification).
+//
+// A step that fails with a transient error (a navigation or wait timeout, an
+// element detached by a re-render, a dropped connection) is tried again after
+// a backoff that doubles with each retry. Permanent failures (a carrier
+// missing from the dropdown, a pincode no carrier serves, anything not known
+// to be transient) are not retried.
+//
+// RETRY_POLICY overrides the attempts (and optionally the first backoff in
+// ms) per step, or for every step with "default":
+//
+//   RETRY_POLICY=goto=4/3000,save=1
+//   RETRY_POLICY=default=1            (no retries at all)
+
+const STEPS = [
+  "goto",
+  "syncButton",
+  "dropdown",
+  "logisticSync",
+  "fetch",
+  "save",
+  "verify",
+];
+
+// attempts include the first try
+const DEFAULT_POLICY = {
+  goto: { attempts: 3, backoffMs: 2000 },
+  syncButton: { attempts: 2, backoffMs: 1000 },
+  dropdown: { attempts: 2, backoffMs: 1000 },
+  logisticSync: { attempts: 2, backoffMs: 1000 },
+  fetch: { attempts: 2, backoffMs: 1000 },
+  save: { attempts: 2, backoffMs: 1000 },
+  // the AWB may take a few seconds to show up
+  verify: { attempts: 3, backoffMs: 3000 },
+};
+const MAX_ATTEMPTS = 10;
+const MAX_BACKOFF_MS = 30000;
+
+// Playwright and network errors worth another try
+const TRANSIENT_PATTERNS = [
+  /timeout\s*\d*\s*ms exceeded/i,
+  /\btimed? ?out\b/i,
+  /detached/i,
+  /not attached to the DOM/i,
+  /element is not (visible|stable|enabled)/i,
+  /Execution context was destroyed/i,
+  /net::ERR_/i,
+  /ECONNRESET|ECONNREFUSED|ETIMEDOUT|socket hang up/i,
+];
+
+// A failure retrying won't fix
+class PermanentError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "PermanentError";
+    this.failure = "permanent";
+  }
+}
+
+/**
+ * "transient" or "permanent" for an error thrown by a sync step.
+ * @param {Error} error
+ */
+function classifyError(error) {
+  if (!error) return "permanent";
+  if (error.failure === "transient" || error.failure === "permanent") {
+    return error.failure;
+  }
+  if (error.name === "TimeoutError") return "transient";
+  const message = String(error.message || error);
+  return TRANSIENT_PATTERNS.some((p) => p.test(message))
+    ? "transient"
+    : "permanent";
+}
+
+// parsed RETRY_POLICY, so invalid entries are only warned about once
+let cachedPolicy = null;
+
+// Policy per step: the defaults with RETRY_POLICY applied. Invalid entries
+// are ignored with a warning.
+function getRetryPolicy() {
+  const raw = (process.env.RETRY_POLICY || "").trim();
+  if (cachedPolicy && cachedPolicy.raw === raw) return cachedPolicy.policy;
+  const policy = {};
+  for (const step of STEPS) policy[step] = { ...DEFAULT_POLICY[step] };
+  const entries = raw
+    .split(",")
+    .map((e) => e.trim())
+    .filter(Boolean);
+  for (const entry of entries) {
+    const m = entry.match(/^([A-Za-z]+)\s*=\s*(\d+)(?:\s*\/\s*(\d+))?$/);
+    const steps =
+      m && (m[1] === "default" ? STEPS : STEPS.filter((s) => s === m[1]));
+    const attempts = m ? Number(m[2]) : NaN;
+    if (!steps || !steps.length || attempts < 1 || attempts > MAX_ATTEMPTS) {
+      console.warn(
+        `Ignoring RETRY_POLICY entry '${entry}' (expected <step>=<attempts 1-${MAX_ATTEMPTS}>[/<backoff ms>], steps: default, ${STEPS.join(
+          ", "
+        )})`
+      );
+      continue;
+    }
+    for (const step of steps) {
+      policy[step].attempts = attempts;
+      if (m[3] !== undefined) policy[step].backoffMs = Number(m[3]);
+    }
+  }
+  cachedPolicy = { raw, policy };
+  return policy;
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Run one sync step under the retry policy. `fn` gets the attempt number
+ * (1 for the first try). Retries are counted per step in `retries`. When
+ * the step gives up, the last error is thrown with `step`, `failure` and
+ * `attempts` set.
+ * @param {string} step one of STEPS
+ * @param {(attempt: number) => Promise<*>} fn
+ * @param {{ orderId?: string, retries?: Object<string, number>, policy?: Object }} [options]
+ */
+async function withRetry(
+  step,
+  fn,
+  { orderId = null, retries = {}, policy = getRetryPolicy() } = {}
+) {
+  const { attempts, backoffMs } = policy[step] || { attempts: 1, backoffMs: 0 };
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn(attempt);
+    } catch (e) {
+      const failure = classifyError(e);
+      if (failure === "permanent" || attempt >= attempts) {
+        e.step = step;
+        e.failure = failure;
+        e.attempts = attempt;
+        throw e;
+      }
+      const delay = Math.min(MAX_BACKOFF_MS, backoffMs * 2 ** (attempt - 1));
+      console.warn(
+        `Order ${orderId || "N/A"}: ${step} failed (transient: ${
+          String(e.message || e).split("\n")[0]
+        }), retry ${attempt}/${attempts - 1} in ${delay} ms`
+      );
+      retries[step] = (retries[step] || 0) + 1;
+      await sleep(delay);
+    }
+  }
+}
+
+// Total retries in a per-step count object
+function countRetries(retries) {
+  return Object.values(retries || {}).reduce((sum, n) => sum + n, 0);
+}
+
+module.exports = {
+  STEPS,
+  DEFAULT_POLICY,
+  PermanentError,
+  classifyError,
+  getRetryPolicy,
+  withRetry,
+  countRetries,
+};
@@ -0,0 +1,190 @@
+const path = require("path");
+const fs = require("fs");
+
+// Persistent run journal.
+//
+// Every finished order is appended as one JSON line to logs/run-journal.jsonl
+// (or RUN_JOURNAL_FILE) as soon as it is done, so the outcome survives a
+// browser crash. Line types:
+//   { type: "run-start", runId, ts }
+//   { type: "order", runId, ts, orderId, outcome, carrier, awb, reason }
+//   { type: "run-end", runId, ts }
+// `outcome` is one of "synced", "skipped" or "failed".
+//
+// On startup orders synced within the last JOURNAL_RECENT_HOURS (default 24,
+// 0 skips none from earlier runs) are skipped. With RESUME=1 (run.js --resume) the latest run that never
+// wrote "run-end" is continued: its runId is reused and every order it already
+// finished, whatever the outcome, is skipped.
+
+const OUTCOMES = ["synced", "skipped", "failed"];
+const DEFAULT_RECENT_HOURS = 24;
+
+function isTruthy(v) {
+  return /^(1|true|yes)$/i.test(String(v || "").trim());
+}
+
+// JOURNAL_RECENT_HOURS from the environment; invalid values fall back to the
+// default with a warning
+function getRecentHours() {
+  const raw = (process.env.JOURNAL_RECENT_HOURS || "").trim();
+  if (!raw) return DEFAULT_RECENT_HOURS;
+  const value = Number(raw);
+  if (!Number.isFinite(value) || value < 0) {
+    console.warn(
+      `Ignoring JOURNAL_RECENT_HOURS='${raw}' (expected 0 or more), using ${DEFAULT_RECENT_HOURS}`
+    );
+    return DEFAULT_RECENT_HOURS;
+  }
+  return value;
+}
+
+function resolveJournalPath() {
+  if (process.env.RUN_JOURNAL_FILE) {
+    return path.resolve(process.cwd(), process.env.RUN_JOURNAL_FILE);
+  }
+  return path.join(process.cwd(), "logs", "run-journal.jsonl");
+}
+
+// Read journal lines, ignoring blank or partially written ones (a crash can
+// leave the last line truncated).
+function readJournalEntries(file) {
+  if (!fs.existsSync(file)) return [];
+  const entries = [];
+  const lines = fs.readFileSync(file, "utf8").split(/\r?\n/);
+  for (const line of lines) {
+    if (!line.trim()) continue;
+    try {
+      entries.push(JSON.parse(line));
+    } catch (e) {
+      // ignore malformed line
+    }
+  }
+  return entries;
+}
+
+class RunJournal {
+  /**
+   * @param {{file?: string, resume?: boolean, recentHours?: number, readOnly?: boolean}} [options]
+   */
+  constructor({
+    file = resolveJournalPath(),
+    resume = isTruthy(process.env.RESUME),
+    recentHours = getRecentHours(),
+    readOnly = false,
+  } = {}) {
+    this.file = file;
+    this.readOnly = readOnly;
+    this.recentSynced = new Map(); // orderId -> journal entry
+    this.resumedOrders = new Map(); // orderId -> entry from the resumed run
+    this.runId = null;
+    this.resumed = false;
+
+    const entries = readJournalEntries(file);
+    const cutoff = Date.now() - recentHours * 60 * 60 * 1000;
+    for (const e of entries) {
+      if (
+        recentHours > 0 &&
+        e.type === "order" &&
+        e.outcome === "synced" &&
+        Date.parse(e.ts) >= cutoff
+      ) {
+        this.recentSynced.set(String(e.orderId), e);
+      }
+    }
+
+    if (resume) {
+      const ended = new Set(
+        entries.filter((e) => e.type === "run-end").map((e) => e.runId)
+      );
+      const starts = entries.filter((e) => e.type === "run-start");
+      const last = starts[starts.length - 1];
+      if (last && !ended.has(last.runId)) {
+        this.runId = last.runId;
+        this.resumed = true;
+        for (const e of entries) {
+          if (e.type === "order" && e.runId === last.runId) {
+            this.resumedOrders.set(String(e.orderId), e);
+          }
+        }
+        console.log(
+          `Resuming run ${this.runId}: ${this.resumedOrders.size} order(s) already finished`
+        );
+      } else {
+        console.log("No interrupted run found in journal, starting a new run");
+      }
+    }
+
+    if (!this.runId) {
+      this.runId = new Date().toISOString().replace(/[:.]/g, "-");
+      this._append({ type: "run-start", runId: this.runId });
+    }
+  }
+
+  _append(entry) {
+    if (this.readOnly) return;
+    try {
+      fs.mkdirSync(path.dirname(this.file), { recursive: true });
+      fs.appendFileSync(
+        this.file,
+        JSON.stringify({ ...entry, ts: new Date().toISOString() }) + "\n"
+      );
+    } catch (e) {
+      console.warn(`Failed to write run journal ${this.file}: ${e.message}`);
+    }
+  }
+
+  // Returns why an order should be skipped, or null if it should be processed.
+  skipReason(orderId) {
+    if (!orderId) return null;
+    const id = String(orderId).trim();
+    const resumed = this.resumedOrders.get(id);
+    if (resumed) {
+      return `already ${resumed.outcome} in resumed run ${this.runId}`;
+    }
+    const synced = this.recentSynced.get(id);
+    if (synced) {
+      return `already synced on ${synced.carrier || "unknown carrier"} at ${
+        synced.ts
+      } (run ${synced.runId})`;
+    }
+    return null;
+  }
+
+  // Number of orders the resumed run already synced (counts towards PROCESS_COUNT)
+  resumedSyncedCount() {
+    let n = 0;
+    for (const e of this.resumedOrders.values()) {
+      if (e.outcome === "synced") n++;
+    }
+    return n;
+  }
+
+  record(orderId, outcome, { carrier = null, awb = null, reason = null } = {}) {
+    if (!orderId) return;
+    if (!OUTCOMES.includes(outcome)) {
+      throw new Error(`Unknown journal outcome '${outcome}'`);
+    }
+    const entry = {
+      type: "order",
+      runId: this.runId,
+      orderId: String(orderId).trim(),
+      outcome,
+      carrier,
+      awb,
+      reason,
+    };
+    this._append(entry);
+    if (outcome === "synced") {
+      this.recentSynced.set(entry.orderId, {
+        ...entry,
+        ts: new Date().toISOString(),
+      });
+    }
+  }
+
+  end() {
+    this._append({ type: "run-end", runId: this.runId });
+  }
+}
+
+module.exports = { RunJournal, readJournalEntries, getRecentHours };
@@ -0,0 +1,226 @@
+const fs = require("fs");
+let xlsx;
+try {
+  xlsx = require("xlsx");
+} catch (e) {
+  // If xlsx isn't installed, the dispatch workbook is skipped.
+  xlsx = null;
+}
+
+// Machine-readable run summaries written next to logs/summary-<ts>.txt.
+//
+// The summary object passed in has the shape:
+//   {
+//     generatedAt, runId,
+//     totals: { rowsAttempted, successful, errorsSkipped, ... },
+//     carriers: { <carrier>: <count> },
+//     orders: [{ orderId, pincode, state, paymentType, paymentStatus,
+//                carrier, awb, orderStatus, outcome, error, forensics,
+//                failure, retries, retriesByStep, name, phone, address,
+//                city, district, country, billingAddress }],
+//   }
+
+// column order for per-order CSV rows; the address, retry, AWB and
+// forensics columns come last so existing readers of the first eight
+// columns keep working
+const ORDER_COLUMNS = [
+  "orderId",
+  "pincode",
+  "state",
+  "paymentType",
+  "paymentStatus",
+  "carrier",
+  "outcome",
+  "error",
+  "name",
+  "phone",
+  "address",
+  "city",
+  "district",
+  "country",
+  "failure",
+  "retries",
+  "awb",
+  "orderStatus",
+  "forensics",
+];
+
+// Quote a CSV field when it contains a separator, quote or line break
+function csvField(value) {
+  if (value === null || value === undefined) return "";
+  const s = String(value);
+  if (/[",\r\n]/.test(s)) return `"${s.replace(/"/g, '""')}"`;
+  return s;
+}
+
+function toCsvRow(values) {
+  return values.map(csvField).join(",");
+}
+
+function writeJsonSummary(filename, summary) {
+  fs.writeFileSync(filename, JSON.stringify(summary, null, 2) + "\n");
+}
+
+// One header row plus one row per attempted order. Run totals follow after a
+// blank line as `metric,value` rows, so the order table can be read on its
+// own by stopping at the first empty line.
+function writeCsvSummary(filename, summary) {
+  const lines = [toCsvRow(ORDER_COLUMNS)];
+  for (const order of summary.orders) {
+    lines.push(toCsvRow(ORDER_COLUMNS.map((c) => order[c])));
+  }
+  lines.push("");
+  lines.push(toCsvRow(["metric", "value"]));
+  for (const [metric, value] of Object.entries(summary.totals)) {
+    lines.push(toCsvRow([metric, value]));
+  }
+  for (const [carrier, count] of Object.entries(summary.carriers)) {
+    lines.push(toCsvRow([`carrier:${carrier}`, count]));
+  }
+  fs.writeFileSync(filename, lines.join("\r\n") + "\r\n");
+}
+
+// Dispatch workbook columns: [header, key, type]. "n" columns are written as
+// numbers when the value is all digits so Excel filters and sorts them
+// numerically; everything else is text.
+const DISPATCH_COLUMNS = [
+  ["Order ID", "orderId", "n"],
+  ["AWB", "awb", "s"],
+  ["Pincode", "pincode", "n"],
+  ["State", "state", "s"],
+  ["Payment Type", "paymentType", "s"],
+  ["Payment Status", "paymentStatus", "s"],
+  ["Name", "name", "s"],
+  ["Phone", "phone", "s"],
+  ["Address", "address", "s"],
+  ["City", "city", "s"],
+  ["District", "district", "s"],
+  ["Country", "country", "s"],
+];
+const ERROR_COLUMNS = [
+  ...DISPATCH_COLUMNS,
+  ["Error", "error", "s"],
+  ["Forensics", "forensics", "s"],
+];
+const REVIEW_COLUMNS = [
+  ...DISPATCH_COLUMNS,
+  ["Score", "score", "n"],
+  ["Problems", "problemsText", "s"],
+  ["Forensics", "forensics", "s"],
+];
+
+// Excel sheet names: max 31 chars, none of []:*?/\ and unique per workbook
+function sheetName(name, used) {
+  const base =
+    String(name || "Sheet")
+      .replace(/[[\]:*?/\\]/g, " ")
+      .trim()
+      .slice(0, 31) || "Sheet";
+  let candidate = base;
+  for (let n = 2; used.has(candidate.toLowerCase()); n++) {
+    const suffix = ` (${n})`;
+    candidate = base.slice(0, 31 - suffix.length) + suffix;
+  }
+  used.add(candidate.toLowerCase());
+  return candidate;
+}
+
+function cellFor(value, type) {
+  if (value === null || value === undefined || value === "N/A") {
+    return { t: "s", v: "" };
+  }
+  const s = String(value).trim();
+  if (type === "n" && /^\d+$/.test(s)) return { t: "n", v: Number(s) };
+  return { t: "s", v: s };
+}
+
+function buildSheet(columns, items) {
+  const ws = {};
+  columns.forEach(([header], c) => {
+    ws[xlsx.utils.encode_cell({ r: 0, c })] = { t: "s", v: header };
+  });
+  items.forEach((item, i) => {
+    columns.forEach(([, key, type], c) => {
+      ws[xlsx.utils.encode_cell({ r: i + 1, c })] = cellFor(item[key], type);
+    });
+  });
+  const ref = xlsx.utils.encode_range({
+    s: { r: 0, c: 0 },
+    e: { r: items.length, c: columns.length - 1 },
+  });
+  ws["!ref"] = ref;
+  // filter dropdowns on the header row
+  ws["!autofilter"] = { ref };
+  ws["!cols"] = columns.map(([header, key]) => ({
+    wch: Math.min(
+      60,
+      Math.max(
+        header.length,
+        ...items.map((item) => String(item[key] || "").length)
+      ) + 2
+    ),
+  }));
+  return ws;
+}
+
+// Write the dispatch workbook: one sheet per carrier from the `processed`
+// map, then "Errors" and "Skipped (dialog)" sheets built from `errors`. The
+// `needsReview` entries (a subset of `errors`) get their own "Needs review"
+// sheet with the address problems found.
+// Returns false when xlsx is not available.
+function writeDispatchWorkbook(
+  filename,
+  { processed, errors, needsReview = [] }
+) {
+  if (!xlsx) return false;
+  const wb = xlsx.utils.book_new();
+  const used = new Set();
+  for (const [carrierName, ordersList] of processed) {
+    xlsx.utils.book_append_sheet(
+      wb,
+      buildSheet(DISPATCH_COLUMNS, ordersList),
+      sheetName(carrierName, used)
+    );
+  }
+  const dialogSkipped = errors.filter((e) =>
+    e.error.includes("browser dialog")
+  );
+  const review = new Set(needsReview);
+  const otherErrors = errors.filter(
+    (e) => !e.error.includes("browser dialog") && !review.has(e)
+  );
+  xlsx.utils.book_append_sheet(
+    wb,
+    buildSheet(ERROR_COLUMNS, otherErrors),
+    sheetName("Errors", used)
+  );
+  if (needsReview.length) {
+    xlsx.utils.book_append_sheet(
+      wb,
+      buildSheet(
+        REVIEW_COLUMNS,
+        needsReview.map((e) => ({
+          ...e,
+          problemsText: (e.problems || []).join("; "),
+        }))
+      ),
+      sheetName("Needs review", used)
+    );
+  }
+  xlsx.utils.book_append_sheet(
+    wb,
+    buildSheet(DISPATCH_COLUMNS, dialogSkipped),
+    sheetName("Skipped (dialog)", used)
+  );
+  xlsx.writeFile(wb, filename);
+  return true;
+}
+
+module.exports = {
+  ORDER_COLUMNS,
+  csvField,
+  toCsvRow,
+  writeJsonSummary,
+  writeCsvSummary,
+  writeDispatchWorkbook,
+};
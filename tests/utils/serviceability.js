@@ -0,0 +1,523 @@
+const path = require("path");
+const fs = require("fs");
+const { getDataDir } = require("./config");
+let xlsx;
+try {
+  xlsx = require("xlsx");
+} catch (e) {
+  // If xlsx isn't installed, only .csv / .txt / .json lists can be read.
+  xlsx = null;
+}
+
+// Carrier pincode serviceability lists: data/<Carrier>.xlsx, .xls, .csv,
+// .txt or .json (the folder can be moved with DATA_DIR). When a carrier has
+// several of these files they are all read and merged.
+//
+// Every sheet of a carrier workbook is read. The header row is detected by
+// looking for a pincode column (Pincode, PIN, Postal Code, ...) and these
+// optional columns are picked up by name:
+//   COD allowed      COD, B2C_COD_SERVICEABLE, ...
+//   prepaid allowed  Prepaid, ...
+//   ODA / remote     ODA, Remote, Surcharge, ...
+//   hub              Hub, Dispatch Center, Office Name, Branch
+//   city             City, BR_CITY
+// A sheet's name also matters: a sheet called e.g. "B2C COD" lists the COD
+// serviceable pincodes, "Prepaid" the prepaid ones, and "Embargo" /
+// "Non serviceable" pincodes that must not be used at all. Sheets without a
+// header row fall back to the old behaviour: column A holds the pincodes.
+//
+// A .csv file is read like a single sheet. A .txt file is a plain list of
+// pincodes separated by new lines, commas or spaces. A .json file is either
+// an array of pincodes, an array of objects using the same column names
+// ({ "pincode": 689672, "cod": "Y" }), or { "pincodes": [...] }.
+//
+// Each carrier is loaded into a Map<pincode, entry> where entry is
+// { cod, prepaid, oda, hub, city } and cod/prepaid/oda are true, false or
+// null (not stated by the carrier).
+
+// Normalise a pincode value from any source: trims, unwraps quotes and
+// Excel's ="689672" text form, drops a trailing ".0" from number cells, any
+// spaces and zero padding ("0689672"). Returns null when the value is not a
+// 6-digit pincode.
+function normalizePincode(value) {
+  if (value === null || value === undefined) return null;
+  const s = String(value)
+    .trim()
+    .replace(/^=/, "")
+    .replace(/^["']|["']$/g, "")
+    .replace(/\.0+$/, "")
+    .replace(/\s+/g, "")
+    .replace(/^0+(?=\d{6}$)/, "");
+  return /^[1-9]\d{5}$/.test(s) ? s : null;
+}
+
+// header text reduced to lowercase letters and digits ("B2C_COD_SERVICEABLE" -> "b2ccodserviceable")
+function headerKey(h) {
+  return String(h || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+}
+
+const PINCODE_HEADERS = ["pincode", "pin", "pincodes", "postalcode", "zip"];
+
+// "cod" as a word of the header ("COD", "B2C_COD_SERVICEABLE", "Cod Allowed"),
+// not inside one ("OFFICE_CODE", "StateCode")
+const COD_HEADER = /(^|[^a-z])cod([^a-z]|$)/;
+
+// Find the header row (within the first rows of a sheet) and map named
+// columns to indexes. Returns null when there is no pincode header.
+function detectColumns(rows) {
+  for (let r = 0; r < Math.min(rows.length, 10); r++) {
+    const headers = (rows[r] || []).map((h) => String(h || "").toLowerCase());
+    const keys = headers.map(headerKey);
+    const pincode = keys.findIndex((k) => PINCODE_HEADERS.includes(k));
+    if (pincode === -1) continue;
+
+    const find = (test) =>
+      keys.findIndex((k, i) => i !== pincode && test(k, headers[i]));
+    // prefer a B2C COD column over B2B when a sheet has both
+    let cod = find((k, h) => COD_HEADER.test(h) && k.includes("b2c"));
+    if (cod === -1) cod = find((k, h) => COD_HEADER.test(h));
+    return {
+      headerRow: r,
+      pincode,
+      cod,
+      prepaid: find((k) => k.includes("prepaid")),
+      oda: find(
+        (k) => k === "oda" || k.includes("remote") || k.includes("surcharge")
+      ),
+      hub: find(
+        (k) =>
+          k.includes("hub") ||
+          k.includes("dispatchcenter") ||
+          k.includes("officename") ||
+          k === "branch"
+      ),
+      city: find((k) => k.includes("city")),
+      status: find((k) => k.includes("status")),
+    };
+  }
+  return null;
+}
+
+// Y / Yes / True / 1 -> true, N / No / False / 0 -> false, anything else -> null
+function parseFlag(value) {
+  const s = String(value === undefined || value === null ? "" : value)
+    .trim()
+    .toLowerCase();
+  if (["y", "yes", "true", "1", "serviceable"].includes(s)) return true;
+  if (["n", "no", "false", "0", "non serviceable"].includes(s)) return false;
+  return null;
+}
+
+// What a sheet lists, judged by its name
+function sheetKind(name) {
+  const n = String(name || "").toLowerCase();
+  if (/embargo|non[\s-]?serv|not[\s-]?serv|blocked/.test(n)) return "embargo";
+  if (/\bcod\b/.test(n)) return "cod";
+  if (/prepaid/.test(n)) return "prepaid";
+  return "general";
+}
+
+function emptyEntry() {
+  return { cod: null, prepaid: null, oda: null, hub: null, city: null };
+}
+
+// Merge one sheet's rows into `map`. Returns the pincodes the sheet lists.
+function readSheetRows(rows, kind, map) {
+  const cols = detectColumns(rows);
+  const listed = new Set();
+  const start = cols ? cols.headerRow + 1 : 0;
+  for (let r = start; r < rows.length; r++) {
+    const row = rows[r];
+    if (!row || row.length === 0) continue;
+    const pincode = normalizePincode(row[cols ? cols.pincode : 0]);
+    if (!pincode) continue; // header rows, notes, blanks
+    const cell = (idx) => (cols && idx >= 0 ? row[idx] : undefined);
+    if (kind === "embargo") {
+      // embargo sheets may mix blocked rows with warnings ("Prealert");
+      // only rows without a status or with a blocking one are embargoed
+      const status = String(cell(cols && cols.status) || "").trim();
+      if (!status || /embargo|non|not|block/i.test(status)) listed.add(pincode);
+      continue;
+    }
+    listed.add(pincode);
+
+    const entry = map.get(pincode) || emptyEntry();
+    const codFlag = parseFlag(cell(cols && cols.cod));
+    const prepaidFlag = parseFlag(cell(cols && cols.prepaid));
+    if (kind === "cod") {
+      entry.cod = codFlag === null ? true : codFlag;
+    } else if (codFlag !== null) {
+      entry.cod = codFlag;
+    }
+    if (kind === "prepaid") {
+      entry.prepaid = prepaidFlag === null ? true : prepaidFlag;
+    } else if (prepaidFlag !== null) {
+      entry.prepaid = prepaidFlag;
+    }
+    const odaValue = cell(cols && cols.oda);
+    if (odaValue !== undefined && odaValue !== "") {
+      // ODA columns hold Y/N or a surcharge amount
+      const flag = parseFlag(odaValue);
+      entry.oda = flag === null ? Number(odaValue) > 0 || null : flag;
+    }
+    const hub = cell(cols && cols.hub);
+    if (hub) entry.hub = String(hub).trim();
+    const city = cell(cols && cols.city);
+    if (city) entry.city = String(city).trim();
+    map.set(pincode, entry);
+  }
+  return listed;
+}
+
+// Read a list of [sheetName, rows] pairs into { map, embargoed }
+function readSheets(sheets) {
+  const map = new Map();
+  const embargoed = new Set();
+  let hasCodSheet = false;
+  let hasPrepaidSheet = false;
+  for (const [sheetName, rows] of sheets) {
+    const kind = sheetKind(sheetName);
+    const listed = readSheetRows(rows, kind, map);
+    if (kind === "embargo") listed.forEach((p) => embargoed.add(p));
+    if (kind === "cod") hasCodSheet = true;
+    if (kind === "prepaid") hasPrepaidSheet = true;
+  }
+  // with separate COD / prepaid sheets, a pincode missing from one of them
+  // is not serviceable for that payment mode
+  for (const entry of map.values()) {
+    if (hasCodSheet && entry.cod === null) entry.cod = false;
+    if (hasPrepaidSheet && entry.prepaid === null) entry.prepaid = false;
+  }
+  for (const pincode of embargoed) map.delete(pincode);
+  return { map, embargoed };
+}
+
+// Minimal CSV parser: quoted fields, "" escapes, and ",", ";" or tab as the
+// separator (whichever the first line uses most)
+function parseCsv(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0];
+  const separator = [",", ";", "\t"]
+    .map((sep) => [sep, firstLine.split(sep).length])
+    .sort((a, b) => b[1] - a[1])[0][0];
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (quoted) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === separator) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== "" || row.length) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+// JSON lists: [689672, ...], [{ pincode, cod, ... }, ...] or { pincodes: [...] }
+function jsonToRows(data) {
+  const list = Array.isArray(data) ? data : data && data.pincodes;
+  if (!Array.isArray(list)) {
+    throw new Error('expected an array or an object with a "pincodes" array');
+  }
+  const objects = list.filter((v) => v && typeof v === "object");
+  if (objects.length === 0) return list.map((v) => [v]);
+  const header = [...new Set(objects.flatMap((o) => Object.keys(o)))];
+  return [header, ...objects.map((o) => header.map((k) => o[k]))];
+}
+
+// Read one pincode file (any supported format) into [sheetName, rows] pairs
+function readSourceSheets(absPath) {
+  const ext = path.extname(absPath).toLowerCase();
+  const name = path.basename(absPath, path.extname(absPath));
+  if (ext === ".xlsx" || ext === ".xls") {
+    if (!xlsx) {
+      console.warn(`Cannot read ${absPath}: xlsx is not installed`);
+      return [];
+    }
+    const wb = xlsx.readFile(absPath);
+    return (wb.SheetNames || []).map((sheetName) => [
+      sheetName,
+      xlsx.utils.sheet_to_json(wb.Sheets[sheetName], {
+        header: 1,
+        raw: false,
+      }),
+    ]);
+  }
+  // strip a UTF-8 BOM left by Excel's "CSV UTF-8" export
+  const text = fs.readFileSync(absPath, "utf8").replace(/^\uFEFF/, "");
+  if (ext === ".csv") return [[name, parseCsv(text)]];
+  if (ext === ".json") return [[name, jsonToRows(JSON.parse(text))]];
+  // .txt: one pincode per token
+  return [
+    [
+      name,
+      text
+        .split(/[,;\s]+/)
+        .filter(Boolean)
+        .map((token) => [token]),
+    ],
+  ];
+}
+
+// Read one pincode file into { map, embargoed }; unreadable files are logged
+// and treated as empty
+function readPincodeSource(absPath) {
+  try {
+    if (!fs.existsSync(absPath)) return readSheets([]);
+    return readSheets(readSourceSheets(absPath));
+  } catch (e) {
+    console.warn(`Failed to read pincode file ${absPath}: ${e.message}`);
+    return readSheets([]);
+  }
+}
+
+// Read every sheet of a carrier workbook into a Map<pincode, entry>
+function readPincodesFromExcel(absPath) {
+  return readPincodeSource(absPath).map;
+}
+
+// Merge entry `from` into `into`: stated flags fill in unknown ones, and
+// when two files disagree the pincode is allowed if either file allows it
+function mergeEntry(into, from) {
+  for (const key of ["cod", "prepaid", "oda"]) {
+    if (from[key] === null) continue;
+    into[key] = into[key] === null ? from[key] : into[key] || from[key];
+  }
+  if (!into.hub && from.hub) into.hub = from.hub;
+  if (!into.city && from.city) into.city = from.city;
+}
+
+// Read and merge several pincode files of one carrier. A pincode embargoed
+// in any of them stays excluded.
+function readPincodesFromFiles(files) {
+  const merged = new Map();
+  const embargoed = new Set();
+  for (const file of files) {
+    const source = readPincodeSource(file);
+    source.embargoed.forEach((p) => embargoed.add(p));
+    for (const [pincode, entry] of source.map) {
+      if (merged.has(pincode)) mergeEntry(merged.get(pincode), entry);
+      else merged.set(pincode, { ...entry });
+    }
+  }
+  for (const pincode of embargoed) merged.delete(pincode);
+  return merged;
+}
+
+// Cache for Excel lookups to avoid re-reading files repeatedly
+// Dynamic cache that can store any carrier name as key
+const _excelCache = {
+  carriers: new Map(), // Map<carrierName, Map<pincode, entry>>
+  lastLoaded: new Map(), // Map<carrierName, timestamp>
+  // reload interval in ms (optional) - set to 60s to allow occasional refresh
+  reloadInterval: 60 * 1000,
+};
+
+const SOURCE_EXTENSIONS = [".xlsx", ".xls", ".csv", ".txt", ".json"];
+
+// Pincode files in the data folder, skipping Excel's "~$" lock files
+function listSourceFiles(dataDir = getDataDir()) {
+  if (!fs.existsSync(dataDir)) return [];
+  return fs
+    .readdirSync(dataDir)
+    .filter(
+      (f) =>
+        SOURCE_EXTENSIONS.includes(path.extname(f).toLowerCase()) &&
+        !f.startsWith("~$")
+    )
+    .sort((a, b) => a.localeCompare(b));
+}
+
+// data/<Carrier>.<ext> files for a carrier (name matched case-insensitively)
+function getCarrierSourceFiles(carrierName) {
+  const key = String(carrierName || "")
+    .trim()
+    .toLowerCase();
+  if (!key) return [];
+  return listSourceFiles()
+    .filter((f) => path.basename(f, path.extname(f)).toLowerCase() === key)
+    .map((f) => path.join(getDataDir(), f));
+}
+
+// Load the pincode list cache for a specific carrier from all its files
+function loadExcelCacheForCarrier(carrierName) {
+  if (!carrierName) return null;
+
+  const now = Date.now();
+  const normalizedCarrier = carrierName.trim();
+
+  // Check if we have a recent cache for this carrier
+  const lastLoadTime = _excelCache.lastLoaded.get(normalizedCarrier);
+  if (
+    lastLoadTime &&
+    now - lastLoadTime < _excelCache.reloadInterval &&
+    _excelCache.carriers.has(normalizedCarrier)
+  ) {
+    return _excelCache.carriers.get(normalizedCarrier);
+  }
+
+  // Load fresh data for this carrier
+  const pincodes = readPincodesFromFiles(
+    getCarrierSourceFiles(normalizedCarrier)
+  );
+
+  // Cache the result
+  _excelCache.carriers.set(normalizedCarrier, pincodes);
+  _excelCache.lastLoaded.set(normalizedCarrier, now);
+
+  return pincodes;
+}
+
+// Legacy function for backward compatibility - now loads all known carriers
+function loadExcelCaches() {
+  // Load commonly used carriers (DTDC, Delhivery) for backward compatibility
+  const commonCarriers = ["DTDC", "Delhivery"];
+  commonCarriers.forEach((carrier) => {
+    loadExcelCacheForCarrier(carrier);
+  });
+}
+
+// Get cached pincode data for a specific carrier
+function getCarrierPincodes(carrierName) {
+  if (!carrierName) return null;
+  const normalizedCarrier = carrierName.trim();
+
+  // Try to get from cache first
+  if (_excelCache.carriers.has(normalizedCarrier)) {
+    const lastLoadTime = _excelCache.lastLoaded.get(normalizedCarrier);
+    const now = Date.now();
+
+    // If cache is still valid, return it
+    if (lastLoadTime && now - lastLoadTime < _excelCache.reloadInterval) {
+      return _excelCache.carriers.get(normalizedCarrier);
+    }
+  }
+
+  // Cache miss or expired, load fresh data
+  return loadExcelCacheForCarrier(normalizedCarrier);
+}
+
+// Carrier names that have a pincode list in the data folder
+// (data/<Carrier>.xlsx, .csv, ...), one entry per carrier. The spelling of
+// the Excel file name wins when files differ in case (DTDC.xlsx, dtdc.csv).
+function listServiceabilityCarriers(dataDir = getDataDir()) {
+  const byKey = new Map();
+  const excelFirst = (f) => (/\.xlsx?$/i.test(f) ? 0 : 1);
+  const files = listSourceFiles(dataDir).sort(
+    (a, b) => excelFirst(a) - excelFirst(b)
+  );
+  for (const f of files) {
+    const name = path.basename(f, path.extname(f));
+    if (!byKey.has(name.toLowerCase())) byKey.set(name.toLowerCase(), name);
+  }
+  return [...byKey.values()].sort((a, b) => a.localeCompare(b));
+}
+
+function hasServiceabilityList(carrierName) {
+  return getCarrierSourceFiles(carrierName).length > 0;
+}
+
+// Check a pincode against the carrier's list, respecting COD vs prepaid when
+// the payment type is known.
+// Returns { serviceable, reason, entry }. Carriers without a pincode list
+// are treated as serviceable (no validation possible).
+function checkPincodeServiceability(carrierName, pincode, paymentType = null) {
+  if (!carrierName || !pincode) {
+    return { serviceable: true, reason: null, entry: null };
+  }
+  if (!hasServiceabilityList(carrierName)) {
+    return {
+      serviceable: true,
+      reason: `no pincode list for ${carrierName}`,
+      entry: null,
+    };
+  }
+  const pin = normalizePincode(pincode) || String(pincode).trim();
+  const entry = getCarrierPincodes(carrierName).get(pin);
+  if (!entry) {
+    return {
+      serviceable: false,
+      reason: `pincode ${pin} not in ${carrierName} pincode list`,
+      entry: null,
+    };
+  }
+  const type = (paymentType || "").toLowerCase();
+  if (type.includes("cod") && entry.cod === false) {
+    return {
+      serviceable: false,
+      reason: `${carrierName} does not allow COD to pincode ${pin}`,
+      entry,
+    };
+  }
+  if (type.includes("prepaid") && entry.prepaid === false) {
+    return {
+      serviceable: false,
+      reason: `${carrierName} does not allow prepaid to pincode ${pin}`,
+      entry,
+    };
+  }
+  return { serviceable: true, reason: null, entry };
+}
+
+// Boolean shorthand for checkPincodeServiceability, with logging
+function isPincodeServiceable(carrierName, pincode, paymentType = null) {
+  try {
+    const r = checkPincodeServiceability(carrierName, pincode, paymentType);
+    if (r.serviceable) {
+      console.log(
+        r.entry
+          ? `Pincode ${pincode} found in ${carrierName} pincode list.`
+          : `No pincode list found for carrier: ${carrierName}. Proceeding with default behavior.`
+      );
+    } else {
+      console.log(`${r.reason}.`);
+    }
+    return r.serviceable;
+  } catch (e) {
+    console.warn(
+      `Error checking pincode list for carrier ${carrierName}:`,
+      e.message
+    );
+    // On error, proceed with default behavior
+    return true;
+  }
+}
+
+module.exports = {
+  normalizePincode,
+  readPincodesFromExcel,
+  readPincodesFromFiles,
+  getCarrierSourceFiles,
+  loadExcelCacheForCarrier,
+  loadExcelCaches,
+  getCarrierPincodes,
+  listServiceabilityCarriers,
+  hasServiceabilityList,
+  checkPincodeServiceability,
+  isPincodeServiceable,
+};
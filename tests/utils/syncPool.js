@@ -0,0 +1,90 @@
+// Bounded pool for the per-order sync tabs.
+//
+// The address popups on the order list are read one row at a time (there is
+// only one modal), but the order-page sync work for up to CONCURRENCY orders
+// runs in parallel tabs. Each order's result is recorded by its `commit`
+// callback in submission order, however the tabs finish, so summaries list
+// orders in table order. A slot frees up only once its result is recorded,
+// so CONCURRENCY=1 (the default) behaves like awaiting each order in turn.
+
+const DEFAULT_CONCURRENCY = 1;
+// more tabs than this mostly adds load on the admin site
+const MAX_CONCURRENCY = 8;
+
+// CONCURRENCY from the environment; invalid values fall back to the default
+// with a warning
+function getConcurrency() {
+  const raw = (process.env.CONCURRENCY || "").trim();
+  if (!raw) return DEFAULT_CONCURRENCY;
+  const value = Number(raw);
+  if (!Number.isInteger(value) || value < 1 || value > MAX_CONCURRENCY) {
+    console.warn(
+      `Ignoring CONCURRENCY='${raw}' (expected 1-${MAX_CONCURRENCY}), using ${DEFAULT_CONCURRENCY}`
+    );
+    return DEFAULT_CONCURRENCY;
+  }
+  return value;
+}
+
+class SyncPool {
+  /**
+   * @param {number} [size] tabs allowed to sync at once
+   */
+  constructor(size = getConcurrency()) {
+    this.size = Math.max(1, size);
+    // submitted tasks whose results are not recorded yet
+    this.pending = 0;
+    this._tail = Promise.resolve();
+    this._waiters = [];
+  }
+
+  // Resolves after the next result has been recorded
+  settled() {
+    return new Promise((resolve) => this._waiters.push(resolve));
+  }
+
+  // Wait for a free slot
+  async ready() {
+    while (this.pending >= this.size) await this.settled();
+  }
+
+  /**
+   * Start `task` once a slot is free. `commit` gets `{ value }` or
+   * `{ error }` after the task and every earlier commit have finished.
+   * Returns as soon as the task has started.
+   * @param {() => Promise<*>} task
+   * @param {(outcome: {value?: *, error?: Error}) => (void|Promise<void>)} commit
+   */
+  async submit(task, commit) {
+    await this.ready();
+    this.pending += 1;
+    const run = Promise.resolve()
+      .then(task)
+      .then(
+        (value) => ({ value }),
+        (error) => ({ error })
+      );
+    this._tail = this._tail.then(async () => {
+      try {
+        await commit(await run);
+      } catch (e) {
+        console.warn(`Recording an order result failed: ${e.message}`);
+      } finally {
+        this.pending -= 1;
+        for (const resolve of this._waiters.splice(0)) resolve();
+      }
+    });
+  }
+
+  // Wait until every submitted task has been recorded
+  async drain() {
+    while (this.pending > 0) await this.settled();
+  }
+}
+
+module.exports = {
+  DEFAULT_CONCURRENCY,
+  MAX_CONCURRENCY,
+  getConcurrency,
+  SyncPool,
+};